@@ -1,57 +1,208 @@
-if (typeof window !== 'undefined' && typeof window.document !== 'undefined') {
+// where the sketch registry lives: self in pages and workers, the global object elsewhere (headless rendering in Node)
+const animateOneGlobal = typeof self !== 'undefined' ? self : globalThis;
+
+{
 	// Ensure the AnimateOneEnvironment and sketches exist
-	self.AnimateOneEnvironment = self.AnimateOneEnvironment || {};
-	self.AnimateOneEnvironment.sketches = self.AnimateOneEnvironment.sketches || {};
+	animateOneGlobal.AnimateOneEnvironment = animateOneGlobal.AnimateOneEnvironment || {};
+	animateOneGlobal.AnimateOneEnvironment.sketches = animateOneGlobal.AnimateOneEnvironment.sketches || {};
+	animateOneGlobal.AnimateOneEnvironment.listeners = animateOneGlobal.AnimateOneEnvironment.listeners || {};
 
 	function sketchEnvironmentIsRunning(targetSketchId) {
-		const sketch = self.AnimateOneEnvironment.sketches[targetSketchId];
+		const sketch = animateOneGlobal.AnimateOneEnvironment.sketches[targetSketchId];
 		return sketch?.running === true;
 	}
 
 	function startSketchEnvironment(targetSketchId) {
-		const sketches = self.AnimateOneEnvironment.sketches;
+		const sketches = animateOneGlobal.AnimateOneEnvironment.sketches;
 		sketches[targetSketchId] = sketches[targetSketchId] || {};
 		sketches[targetSketchId].running = true;
+		emitSketchEvent(targetSketchId, "starting");
 	}
 
 	function stopSketchEnvironment(targetSketchId) {
-		const sketches = self.AnimateOneEnvironment.sketches;
+		const sketches = animateOneGlobal.AnimateOneEnvironment.sketches;
 		sketches[targetSketchId] = sketches[targetSketchId] || {};
 		sketches[targetSketchId].running = false;
+		// a start still waiting for the previous loop to exit is called off too
+		sketches[targetSketchId].startPending = false;
 	}
 
 	function exposeSketchEnvironment(targetSketchId, context) {
-		const sketches = self.AnimateOneEnvironment.sketches;
+		const sketches = animateOneGlobal.AnimateOneEnvironment.sketches;
 		sketches[targetSketchId] = sketches[targetSketchId] || {};
 		sketches[targetSketchId].context = context;
 	}
 
 	// Posting state management
 	function sketchEnvironmentIsPosting(targetSketchId) {
-		const sketch = self.AnimateOneEnvironment.sketches[targetSketchId];
+		const sketch = animateOneGlobal.AnimateOneEnvironment.sketches[targetSketchId];
 		return sketch?.posting === true;
 	}
 
 	function startSketchEnvironmentPosting(targetSketchId) {
-		const sketches = self.AnimateOneEnvironment.sketches;
+		const sketches = animateOneGlobal.AnimateOneEnvironment.sketches;
 		sketches[targetSketchId] = sketches[targetSketchId] || {};
 		sketches[targetSketchId].posting = true;
 	}
 
 	function stopSketchEnvironmentPosting(targetSketchId) {
-		const sketches = self.AnimateOneEnvironment.sketches;
+		const sketches = animateOneGlobal.AnimateOneEnvironment.sketches;
 		sketches[targetSketchId] = sketches[targetSketchId] || {};
 		sketches[targetSketchId].posting = false;
+
+		// the main loop has really exited, release everyone waiting in stop()
+		const waiters = sketches[targetSketchId].stopWaiters || [];
+		sketches[targetSketchId].stopWaiters = [];
+		waiters.forEach(resolve => resolve());
+		emitSketchEvent(targetSketchId, "stopped");
+	}
+
+	/**
+	* @returns {Promise<void>} resolves once the sketch's requestAnimationFrame loop has exited, right away if none runs
+	*/
+	function sketchEnvironmentPostingEnded(targetSketchId) {
+		const sketch = animateOneGlobal.AnimateOneEnvironment.sketches[targetSketchId];
+		if (!sketch?.posting) return Promise.resolve();
+
+		return new Promise(resolve => {
+			sketch.stopWaiters = sketch.stopWaiters || [];
+			sketch.stopWaiters.push(resolve);
+		});
+	}
+
+	// Lifecycle events: "starting", "running", "paused", "stopped", "errored"
+	// ("running" has firstFrame: true when a start begins running frames, channel when a resume lets a channel go on)
+	function onSketchEvent(type, listener) {
+		const listeners = animateOneGlobal.AnimateOneEnvironment.listeners;
+		listeners[type] = listeners[type] || new Set();
+		listeners[type].add(listener);
+		return () => listeners[type].delete(listener); // return unsubscribe function
+	}
+
+	function emitSketchEvent(targetSketchId, type, detail = {}) {
+		for (const listener of animateOneGlobal.AnimateOneEnvironment.listeners[type] || []) {
+			try {
+				listener({ id: targetSketchId, type, ...detail });
+			} catch (e) {
+				console.warn("AnimateOneEnvironment listener error:", e);
+			}
+		}
+	}
+
+	function listSketches() {
+		return Object.keys(animateOneGlobal.AnimateOneEnvironment.sketches);
+	}
+
+	function inspectSketch(targetSketchId) {
+		const sketch = animateOneGlobal.AnimateOneEnvironment.sketches[targetSketchId];
+		if (!sketch) return null;
+		const context = sketch.context;
+		return {
+			id: targetSketchId,
+			running: sketch.running === true,
+			posting: sketch.posting === true,
+			unitCount: context ? context._units.length : 0,
+			tasks: context ? context.scheduler.tasks.map(task => task.name) : [],
+			pausedChannels: context ? [...context.scheduler.pausedChannels] : [],
+			context
+		};
+	}
+
+	/**
+	* Restarts the main loop of a sketch whose context has already been exposed.
+	* @returns {Promise<void>} resolves once the first frame has run, right away if the sketch is already running
+	*/
+	function start(targetSketchId) {
+		const sketch = animateOneGlobal.AnimateOneEnvironment.sketches[targetSketchId];
+		if (!sketch?.context) return Promise.reject(Error("No context exposed for sketch: " + targetSketchId));
+		// already running, posting frames or (a manual scheduler) stepped by its owner
+		if (sketch.running) return Promise.resolve();
+
+		return new Promise((resolve, reject) => {
+			const offRunning = onSketchEvent("running", (e) => {
+				// a resume() meanwhile says "running" too, without any frame of this start having run
+				if (e.id !== targetSketchId || !e.firstFrame) return;
+				offRunning();
+				offErrored();
+				resolve();
+			});
+			const offErrored = onSketchEvent("errored", (e) => {
+				if (e.id !== targetSketchId) return;
+				offRunning();
+				offErrored();
+				reject(e.error);
+			});
+			sketch.context.scheduler.start();
+		});
+	}
+
+	/**
+	* Stops the main loop of a sketch.
+	* @returns {Promise<void>} resolves once the requestAnimationFrame loop has exited
+	*/
+	function stop(targetSketchId) {
+		stopSketchEnvironment(targetSketchId);
+		return sketchEnvironmentPostingEnded(targetSketchId);
+	}
+
+	async function restart(targetSketchId) {
+		await stop(targetSketchId);
+		await start(targetSketchId);
+	}
+
+	async function removeSketch(targetSketchId) {
+		await stop(targetSketchId);
+		delete animateOneGlobal.AnimateOneEnvironment.sketches[targetSketchId];
+	}
+
+	/**
+	* Links the stores of several sketches so the chosen keys stay equal, in this tab and others, see StoreLink.
+	* @param {string[]} targetSketchIds
+	* @param {Object} [options] - as StoreLink, plus a name (the sorted ids by default)
+	* @returns {StoreLink}
+	*/
+	function linkSketches(targetSketchIds, options = {}) {
+		const { name = [...targetSketchIds].sort().join("+") } = options;
+		let link = null;
+		for (const targetSketchId of targetSketchIds) {
+			const context = animateOneGlobal.AnimateOneEnvironment.sketches[targetSketchId]?.context;
+			if (!context) throw Error("No context exposed for sketch: " + targetSketchId);
+			link = context.linkStore(name, options);
+		}
+		return link;
 	}
 
 	// Expose API
-	self.AnimateOneEnvironment.sketchEnvironmentIsRunning = sketchEnvironmentIsRunning;
-	self.AnimateOneEnvironment.startSketchEnvironment = startSketchEnvironment;
-	self.AnimateOneEnvironment.stopSketchEnvironment = stopSketchEnvironment;
-	self.AnimateOneEnvironment.exposeSketchEnvironment = exposeSketchEnvironment;
-	self.AnimateOneEnvironment.sketchEnvironmentIsPosting = sketchEnvironmentIsPosting;
-	self.AnimateOneEnvironment.startSketchEnvironmentPosting = startSketchEnvironmentPosting;
-	self.AnimateOneEnvironment.stopSketchEnvironmentPosting = stopSketchEnvironmentPosting;
+	animateOneGlobal.AnimateOneEnvironment.sketchEnvironmentIsRunning = sketchEnvironmentIsRunning;
+	animateOneGlobal.AnimateOneEnvironment.startSketchEnvironment = startSketchEnvironment;
+	animateOneGlobal.AnimateOneEnvironment.stopSketchEnvironment = stopSketchEnvironment;
+	animateOneGlobal.AnimateOneEnvironment.exposeSketchEnvironment = exposeSketchEnvironment;
+	animateOneGlobal.AnimateOneEnvironment.sketchEnvironmentIsPosting = sketchEnvironmentIsPosting;
+	animateOneGlobal.AnimateOneEnvironment.startSketchEnvironmentPosting = startSketchEnvironmentPosting;
+	animateOneGlobal.AnimateOneEnvironment.stopSketchEnvironmentPosting = stopSketchEnvironmentPosting;
+	animateOneGlobal.AnimateOneEnvironment.sketchEnvironmentPostingEnded = sketchEnvironmentPostingEnded;
+	animateOneGlobal.AnimateOneEnvironment.listSketches = listSketches;
+	animateOneGlobal.AnimateOneEnvironment.inspectSketch = inspectSketch;
+	animateOneGlobal.AnimateOneEnvironment.on = onSketchEvent;
+	animateOneGlobal.AnimateOneEnvironment.emitSketchEvent = emitSketchEvent;
+	animateOneGlobal.AnimateOneEnvironment.start = start;
+	animateOneGlobal.AnimateOneEnvironment.stop = stop;
+	animateOneGlobal.AnimateOneEnvironment.restart = restart;
+	animateOneGlobal.AnimateOneEnvironment.removeSketch = removeSketch;
+	animateOneGlobal.AnimateOneEnvironment.linkSketches = linkSketches;
+}
+
+/**
+* Copy of a store value for history, so later in-place edits (unit.pos.x = ...) can't change what was recorded.
+* Only plain objects and arrays are copied, anything else (functions, images, class instances) is kept as is.
+*/
+function cloneStoreValue(value) {
+    if (value === null || typeof value !== "object") return value;
+    if (Array.isArray(value)) return value.map(cloneStoreValue);
+    if (Object.getPrototypeOf(Object.getPrototypeOf(value) ?? Object.prototype) !== null) return value;
+    const copy = {};
+    for (const key in value) copy[key] = cloneStoreValue(value[key]);
+    return copy;
 }
 
 //should typically only be used for non-ui related values, like anything done with calculations,
@@ -60,6 +211,36 @@ class DataStore {
     constructor() {
         this._data = {};
         this._listeners = {};
+        this._anyListeners = [];
+        /** @type {Array<function(string, *): void>} called for every key undo/redo restores, before any change listener */
+        this._restoreListeners = [];
+        /** @type {WeakSet<Function>} listeners added with coalesce, see onChange() */
+        this._coalescing = new WeakSet();
+        
+        /** @type {Object | null} see enableHistory() */
+        this._history = null;
+        // open batch() entry and how deeply batches are nested
+        this._batchEntry = null;
+        this._batchDepth = 0;
+        /** @type {Set<string> | null} keys undo/redo is restoring right now */
+        this._restoring = null;
+        
+        /** @type {Object<string, {fn: Function, value: *, dirty: boolean, deps: Set<string>}>} see computed() */
+        this._computed = {};
+        /** @type {Object<string, Set<string>>} key -> computed keys that read it */
+        this._dependents = {};
+        /** @type {string[]} computed keys being evaluated, innermost last, to spot cycles */
+        this._evaluating = [];
+        /** @type {Set<string>[]} open collectReads() calls, each gets every key read */
+        this._readCollectors = [];
+        
+        /** @type {'sync' | 'microtask' | 'frame'} when listeners hear about sets outside of batch(), see setNotifyMode() */
+        this.notifyMode = 'sync';
+        /** @type {Set<string>} keys set since the last flush, their listeners are still to be called */
+        this._pendingKeys = new Set();
+        /** @type {Map<string, *>} computed keys made stale since the last flush -> value their listeners last saw */
+        this._pendingComputed = new Map();
+        this._flushScheduled = false;
     }
     
     /**
@@ -68,11 +249,35 @@ class DataStore {
     * @param {*} value 
     */
     set(key, value) {
+        if (key in this._computed) throw Error("Cannot set computed key: " + key);
+        // while history moves, the keys it restores keep their recorded values, whatever listeners write
+        if (this._restoring?.has(key)) return;
+        if (this._history && !this._restoring) this._record(key, value);
         this._data[key] = value;
+        this._notify(key, value);
+    }
+    
+    _notify(key, value) {
+        // computed keys reading this one are stale before any listener can read them
+        const stale = this._markDependentsDirty(key);
+        if (this._batchDepth > 0 || this.notifyMode !== 'sync') {
+            this._pendingKeys.add(key);
+            stale.forEach(computedKey => {
+                if (!this._pendingComputed.has(computedKey)) this._pendingComputed.set(computedKey, this._computed[computedKey].value);
+            });
+            if (this._batchDepth === 0) this._scheduleFlush();
+            return;
+        }
+        this._callListeners(key, value);
+        stale.forEach(computedKey => this._refreshComputed(computedKey));
+    }
+    
+    _callListeners(key, value) {
         (this._listeners[key] || []).forEach(fn => { 
             // console.log("dispathcing:" + key, "value: ", this._data[key]);
             fn(value)
         });
+        this._anyListeners.forEach(fn => fn(key, value));
         // console.log("num registered data: ", this._data.length);
     }
     
@@ -90,74 +295,657 @@ class DataStore {
     * @returns {*}
     */
     get(key) {
-        if (this._data[key] != null) {
-            return this._data[key];
+        // inside a computed function, every key read is a dependency (even one that throws, so it is picked up once set)
+        const evaluating = this._evaluating.at(-1);
+        if (evaluating !== undefined) this._computed[evaluating].deps.add(key);
+        this._readCollectors.forEach(keys => keys.add(key));
+        
+        const value = key in this._computed ? this._evaluate(key) : this._data[key];
+        if (value != null) {
+            return value;
         } else {
             throw new Error("Empty key in store: " + key);
         }
     }
     
+    /**
+    * Runs fn and returns every key it read with get(), along with the keys computed ones among them are made from.
+    * @param {function(): void} fn 
+    * @returns {Set<string>}
+    */
+    collectReads(fn) {
+        const keys = new Set();
+        this._readCollectors.push(keys);
+        try {
+            fn();
+        } finally {
+            this._readCollectors.pop();
+        }
+        // a computed key nobody listens to never reports changing, the keys it is made from do
+        keys.forEach(key => this._computed[key]?.deps.forEach(dep => keys.add(dep)));
+        return keys;
+    }
+    
+    // === Computed keys ===
+    
+    /**
+    * Defines a key whose value is derived from other keys. fn runs right away to find the keys it reads with get(),
+    * when any of them changes the value is recomputed: right away if the key has change listeners, otherwise on the
+    * next get(). Computed keys can read other computed keys, a key that ends up reading itself throws an error
+    * naming the cycle. Errors while recomputing for listeners are reported, the set() that caused them goes through.
+    * 
+    * Example:
+    *   store.computed("total", (get) => get("sales::jan") + get("sales::feb"));
+    *
+    * @param {string} key 
+    * @param {function(function(string): *): *} fn - receives get, store.get works just as well
+    */
+    computed(key, fn) {
+        if (key in this._data) throw Error(`Cannot make ${key} computed, it already holds a value`);
+        this.removeComputed(key);
+        this._computed[key] = { fn, value: undefined, dirty: true, deps: new Set() };
+        // keys read before fn failed are still tracked, it is retried once one of them is set
+        try {
+            this._evaluate(key);
+        } catch (e) {
+            console.warn(`Computed key ${key} could not be computed yet:`, e);
+        }
+    }
+    
+    /**
+    * Turns a computed key back into nothing, its listeners stay.
+    * @param {string} key 
+    */
+    removeComputed(key) {
+        const computed = this._computed[key];
+        if (!computed) return;
+        computed.deps.forEach(dep => this._dependents[dep]?.delete(key));
+        delete this._computed[key];
+    }
+    
+    isComputed(key) {
+        return key in this._computed;
+    }
+    
+    _evaluate(key) {
+        const computed = this._computed[key];
+        if (!computed.dirty) return computed.value;
+        
+        if (this._evaluating.includes(key)) {
+            const cycle = [...this._evaluating.slice(this._evaluating.indexOf(key)), key];
+            throw Error("Circular dependency between computed keys: " + cycle.join(" -> "));
+        }
+        
+        // dependencies are found again on every run, branches in fn can read different keys
+        computed.deps.forEach(dep => this._dependents[dep]?.delete(key));
+        computed.deps = new Set();
+        this._evaluating.push(key);
+        try {
+            computed.value = computed.fn((dependency) => this.get(dependency));
+            computed.dirty = false;
+        } finally {
+            this._evaluating.pop();
+            computed.deps.forEach(dep => (this._dependents[dep] = this._dependents[dep] || new Set()).add(key));
+        }
+        return computed.value;
+    }
+    
+    /**
+    * Marks every computed key depending on key, directly or through other computed keys, as dirty.
+    * @returns {string[]} the keys that were marked, closest first
+    */
+    _markDependentsDirty(key) {
+        // already dirty ones are walked too, one that threw last time still has listeners waiting for it
+        const marked = new Set();
+        const queue = [key];
+        while (queue.length) {
+            for (const dependent of this._dependents[queue.shift()] || []) {
+                if (marked.has(dependent) || !this._computed[dependent]) continue;
+                this._computed[dependent].dirty = true;
+                marked.add(dependent);
+                queue.push(dependent);
+            }
+        }
+        return [...marked];
+    }
+    
+    _refreshComputed(key) {
+        const computed = this._computed[key];
+        // nobody is listening, the next get() computes it
+        if (!computed?.dirty || !this._listeners[key]?.length) return;
+        const previous = computed.value;
+        const result = this._tryEvaluate(key);
+        if (result && result.value !== previous) this._callListeners(key, result.value);
+    }
+    
+    /**
+    * Evaluates a computed key for its listeners. A failing fn is reported, not thrown at whoever set a dependency.
+    * @returns {{value: *} | null} null when fn threw
+    */
+    _tryEvaluate(key) {
+        try {
+            return { value: this._evaluate(key) };
+        } catch (e) {
+            console.warn(`Computed key ${key} could not be recomputed:`, e);
+            return null;
+        }
+    }
+    
     /**
     * Subscribe to changes on a key.
     * @param {string} key 
     * @param {function} fn 
+    * @param {Object} [options]
+    * @param {boolean} [options.coalesce=false] - when a batch (or the notify mode) delivers several changes at once,
+    *   call fn once for all of them, with the last value, instead of once per key. For listeners on several keys
+    *   that only need to know something changed
     */
-    onChange(key, fn) {
+    onChange(key, fn, { coalesce = false } = {}) {
         this._listeners[key] = this._listeners[key] || [];
         this._listeners[key].push(fn);
+        if (coalesce) this._coalescing.add(fn);
+        // a computed key has to know its dependencies before its listeners can hear about them,
+        // failing here doesn't stop the subscription (a dependency may not be set yet), what it read so far is tracked
+        if (this._computed[key]?.dirty) {
+            try {
+                this._evaluate(key);
+            } catch (e) {
+                console.warn(`Computed key ${key} could not be computed yet:`, e);
+            }
+        }
     }
     
     removeOnChange(key, fn) {
         const lst = this._listeners[key];
         if (lst) this._listeners[key] = lst.filter(f => f !== fn);
     }
+    
+    /**
+    * Subscribe to changes on every key.
+    * @param {function(string, *): void} fn - receives the key and the new value
+    * @param {Object} [options]
+    * @param {boolean} [options.coalesce=false] - call fn once for changes delivered together, with the last key, see onChange()
+    */
+    onAnyChange(fn, { coalesce = false } = {}) {
+        this._anyListeners.push(fn);
+        if (coalesce) this._coalescing.add(fn);
+    }
+    
+    removeOnAnyChange(fn) {
+        this._anyListeners = this._anyListeners.filter(f => f !== fn);
+    }
+    
+    /**
+    * Every key with its current value, null ones included (get() throws on those).
+    * @returns {[string, *][]}
+    */
+    entries() {
+        return Object.entries(this._data);
+    }
+    
+    /**
+    * Subscribe to values undo/redo restores. These run for every restored key before any change
+    * listener does, for mirrors that have to be written back first (like unit attributes, see Context).
+    * @param {function(string, *): void} fn - receives the key and the restored value
+    */
+    onRestore(fn) {
+        this._restoreListeners.push(fn);
+    }
+    
+    removeOnRestore(fn) {
+        this._restoreListeners = this._restoreListeners.filter(f => f !== fn);
+    }
+    
+    /**
+    * Drops every listener, or only the ones on a single key.
+    * @param {string} [key] 
+    */
+    clearListeners(key) {
+        if (key === undefined) {
+            this._listeners = {};
+            this._anyListeners = [];
+            this._restoreListeners = [];
+        } else {
+            delete this._listeners[key];
+        }
+    }
+    
+    // === Batches and notification modes ===
+    
+    /**
+    * Runs fn with notifications held back until it returns, so listeners never see half of a change.
+    * Afterwards each listener fires once per key it listens to, with the key's final value, and onAnyChange
+    * listeners once per changed key. Listeners added with coalesce (like bindPositionRelativeTo's) fire only
+    * once however many of their keys changed. The sets, and what listeners set in reaction,
+    * make up a single history entry.
+    * Batches can be nested, they join the outer one.
+    * 
+    * Example:
+    *   store.batch(() => {
+    *       unit.update("pos", { x: 10, y: 10 });
+    *       unit.update("size", { width: 50, height: 50 });
+    *   }); // units bound to it move once
+    *
+    * @param {function(): *} fn 
+    * @returns {*} what fn returned
+    */
+    batch(fn) {
+        this._batchDepth++;
+        try {
+            return fn();
+        } finally {
+            if (this._batchDepth > 1) {
+                this._batchDepth--;
+            } else {
+                // still inside the batch while notifying, what listeners set joins it and is delivered in turn
+                try {
+                    while (this._pendingKeys.size > 0 || this._pendingComputed.size > 0) this.flush();
+                } finally {
+                    this._batchDepth--;
+                    if (this._batchEntry) this._batchEntry.sealed = true;
+                    this._batchEntry = null;
+                }
+            }
+        }
+    }
+    
+    /**
+    * Chooses when listeners hear about sets made outside of batch():
+    * 'sync' calls them inside set() (the default), 'microtask' collects the sets of the current task and
+    * 'frame' those of a whole animation frame, then notifies like a batch would.
+    * @param {'sync' | 'microtask' | 'frame'} mode 
+    */
+    setNotifyMode(mode) {
+        if (!['sync', 'microtask', 'frame'].includes(mode)) throw Error("Unknown notify mode: " + mode);
+        this.notifyMode = mode;
+        if (mode === 'sync') this.flush();
+    }
+    
+    _scheduleFlush() {
+        if (this._flushScheduled) return;
+        this._flushScheduled = true;
+        if (this.notifyMode === 'microtask') {
+            queueMicrotask(() => this.flush());
+        } else if (typeof requestAnimationFrame !== 'undefined') {
+            requestAnimationFrame(() => this.flush());
+        } else {
+            setTimeout(() => this.flush(), TaskScheduler.FRAME_MS);
+        }
+    }
+    
+    /**
+    * Notifies listeners of everything held back by batch() or the notify mode right away.
+    * The render loop calls this at the start of every frame.
+    */
+    flush() {
+        this._flushScheduled = false;
+        if (this._pendingKeys.size === 0 && this._pendingComputed.size === 0) return;
+        const keys = [...this._pendingKeys];
+        const computed = [...this._pendingComputed];
+        this._pendingKeys.clear();
+        this._pendingComputed.clear();
+        
+        /** @type {[Function, *[]][]} listeners with what to call them with, key listeners first, in order */
+        const calls = [];
+        /** @type {Map<Function, *[]>} coalescing listeners only hear once that something changed, with the last of it */
+        const coalesced = new Map();
+        const call = (fn, args) => {
+            if (!this._coalescing.has(fn)) {
+                calls.push([fn, args]);
+            } else if (coalesced.has(fn)) {
+                coalesced.get(fn).splice(0, Infinity, ...args);
+            } else {
+                coalesced.set(fn, args);
+                calls.push([fn, args]);
+            }
+        };
+        const changed = [];
+        const collect = (key, value) => {
+            (this._listeners[key] || []).forEach(fn => call(fn, [value]));
+            changed.push([key, value]);
+        };
+        keys.forEach(key => collect(key, this._data[key]));
+        computed.forEach(([key, previous]) => {
+            // computed keys nobody listens to stay lazy
+            if (!this._listeners[key]?.length || !this._computed[key]) return;
+            const result = this._tryEvaluate(key);
+            if (result && result.value !== previous) collect(key, result.value);
+        });
+        
+        changed.forEach(([key, value]) => this._anyListeners.forEach(fn => call(fn, [key, value])));
+        calls.forEach(([fn, args]) => fn(...args));
+    }
+    
+    /**
+    * Puts back several values that belong together (undo, saved state): onRestore listeners run first,
+    * then change listeners as one batch. Until they are done the restored keys ignore sets, so a listener
+    * deriving one restored key from another can't overwrite it. Not recorded in history.
+    * @param {Object<string, *>} values 
+    */
+    restore(values) {
+        const restored = Object.entries(values);
+        const outer = this._restoring;
+        this._restoring = new Set([...(outer ?? []), ...Object.keys(values)]);
+        try {
+            restored.forEach(([key, value]) => this._data[key] = value);
+            restored.forEach(([key, value]) => this._restoreListeners.forEach(fn => fn(key, value)));
+            // notified like a batch, and before the restored keys stop being guarded
+            this._batchDepth++;
+            try {
+                restored.forEach(([key, value]) => this._notify(key, value));
+            } finally {
+                this._batchDepth--;
+            }
+            if (this._batchDepth === 0) this.flush();
+        } finally {
+            this._restoring = outer;
+        }
+    }
+    
+    // === History ===
+    
+    /**
+    * Starts recording changes so they can be undone. Each history entry is one batch() or, outside of
+    * batches, a run of sets less than mergeWithin ms apart, so a slider drag or a typed word undoes at once.
+    * Only changes to existing keys are recorded: creating a key is setup, not an edit.
+    * @param {Object} [options]
+    * @param {number} [options.limit] - entries kept, the oldest are dropped
+    * @param {number} [options.mergeWithin] - ms between sets that still join the same entry, 0 for one entry per set
+    * @param {function(string): boolean} [options.ignore] - keys to leave out of history
+    */
+    enableHistory({ limit = 100, mergeWithin = 500, ignore = null } = {}) {
+        this._history = {
+            limit, mergeWithin, ignore,
+            undo: [],
+            redo: [],
+            /** @type {Map<string, number>} checkpoint name -> id of the newest entry when it was made */
+            checkpoints: new Map(),
+            nextId: 1,
+            // id standing for "before every entry still kept", moves up as entries are dropped
+            baseId: 0
+        };
+    }
+    
+    disableHistory() {
+        this._history = null;
+    }
+    
+    /**
+    * Forgets every entry and checkpoint, what is in the store now becomes the start of history.
+    */
+    clearHistory() {
+        const history = this._history;
+        if (!history) return;
+        history.undo = [];
+        history.redo = [];
+        history.checkpoints.clear();
+        history.baseId = history.nextId++;
+    }
+    
+    _record(key, value) {
+        const history = this._history;
+        if (!(key in this._data) || history.ignore?.(key)) return;
+        
+        const now = Date.now();
+        let entry = this._batchDepth > 0 ? this._batchEntry : history.undo.at(-1);
+        if (this._batchDepth === 0 && (!entry || entry.sealed || now - entry.time >= history.mergeWithin)) entry = null;
+        if (!entry) {
+            entry = { id: history.nextId++, changes: new Map(), time: now, sealed: false };
+            history.undo.push(entry);
+            if (history.undo.length > history.limit) history.baseId = history.undo.shift().id;
+            if (this._batchDepth > 0) this._batchEntry = entry;
+        }
+        
+        if (!entry.changes.has(key)) entry.changes.set(key, { before: cloneStoreValue(this._data[key]) });
+        entry.changes.get(key).after = cloneStoreValue(value);
+        entry.time = now;
+        history.redo = [];
+    }
+    
+    /**
+    * Puts the values of a history entry back, then notifies like set() would.
+    * @param {Object} entry 
+    * @param {'before' | 'after'} side 
+    */
+    _applyEntry(entry, side) {
+        this.restore(Object.fromEntries([...entry.changes].map(([key, change]) => [key, cloneStoreValue(change[side])])));
+    }
+    
+    canUndo() {
+        return (this._history?.undo.length ?? 0) > 0;
+    }
+    
+    canRedo() {
+        return (this._history?.redo.length ?? 0) > 0;
+    }
+    
+    /**
+    * Reverts the newest history entry.
+    * @returns {boolean} false when there was nothing to undo
+    */
+    undo() {
+        const entry = this._history?.undo.pop();
+        if (!entry) return false;
+        entry.sealed = true;
+        this._history.redo.push(entry);
+        this._applyEntry(entry, "before");
+        return true;
+    }
+    
+    /**
+    * Re-applies the last undone entry. Any new change clears what can be redone.
+    * @returns {boolean} false when there was nothing to redo
+    */
+    redo() {
+        const entry = this._history?.redo.pop();
+        if (!entry) return false;
+        this._history.undo.push(entry);
+        this._applyEntry(entry, "after");
+        return true;
+    }
+    
+    _historyTopId() {
+        return this._history.undo.at(-1)?.id ?? this._history.baseId;
+    }
+    
+    /**
+    * Names the current point in history so restoreCheckpoint() can come back to it.
+    * @param {string} name 
+    */
+    checkpoint(name) {
+        const history = this._history;
+        if (!history) throw Error("History is not enabled, call enableHistory() first");
+        const top = history.undo.at(-1);
+        // later sets must not sneak into the entry the checkpoint ends on
+        if (top) top.sealed = true;
+        history.checkpoints.set(name, this._historyTopId());
+    }
+    
+    /**
+    * Undoes or redoes until history is back at a checkpoint.
+    * @param {string} name 
+    */
+    restoreCheckpoint(name) {
+        const history = this._history;
+        const id = history?.checkpoints.get(name);
+        if (id === undefined) throw Error("Unknown checkpoint: " + name);
+        
+        if (history.redo.some(entry => entry.id === id)) {
+            while (this._historyTopId() !== id) this.redo();
+        } else if (id === history.baseId || history.undo.some(entry => entry.id === id)) {
+            while (this._historyTopId() !== id) this.undo();
+        } else {
+            throw Error(`Checkpoint ${name} is no longer in history (dropped by the limit or overwritten by new changes)`);
+        }
+    }
 }
 
 class Context {
     static SIZE_STORE_KEY = "CONTEXT::size";
+    static SCENE_VERSION = 1;
     anchorNames = [
         ['top-left', 'top-center', 'top-right'],
         ['center-left', 'center', 'center-right'],
         ['bottom-left', 'bottom-center', 'bottom-right']
     ];
     
-    constructor(canvas, container, scheduler, store) {
+    /**
+    * @param {HTMLCanvasElement} canvas
+    * @param {HTMLElement | null} container - may be null when a fixedSize is given
+    * @param {TaskScheduler} scheduler
+    * @param {DataStore} store
+    * @param {string} [sketchId] - id this context is registered under in AnimateOneEnvironment.sketches, defaults to the scheduler's
+    * @param {Object} [options]
+    * @param {{width: number, height: number}} [options.fixedSize] - CSS size to keep instead of following the container, no DOM observers are used then
+    * @param {number} [options.pixelRatio] - device pixels per CSS pixel, window.devicePixelRatio by default
+    */
+    constructor(canvas, container, scheduler, store, sketchId = scheduler.sketchId, { fixedSize = null, pixelRatio = null } = {}) {
         if (!canvas) throw Error("Could not find canvas");
         
+        this.sketchId = sketchId;
         this._units = [];
         this.zSorted = false;
+        /** @type {Map<string, {unit: Unit, attributeName: string}>} store keys that only mirror unit attributes (see Unit.updateInStore) */
+        this._attributeStoreKeys = new Map();
         this.canvas = canvas;
         this.scheduler = scheduler;
         this.store = store;
         
         this.canvasBgColor = 'white';
+        this.focusRingColor = '#1a73e8';
+        /** @type {Unit | null} unit receiving keyboard input */
+        this.focusedUnit = null;
+        
+        /** @type {'continuous' | 'on-demand'} 'on-demand' only redraws frames (or regions) that were invalidated */
+        this.renderMode = 'continuous';
+        this._dirtyFull = true;
+        /** @type {{x: number, y: number, width: number, height: number} | null} */
+        this._dirtyRect = null;
+        /** @type {WeakSet<HTMLImageElement>} images already waiting to trigger a redraw once loaded */
+        this._pendingImages = new WeakSet();
+        
+        /** @type {Set<Unit>} units changed since the last frame, see _processUnitChanges */
+        this._changedUnits = new Set();
+        /** @type {Map<string, Set<Unit>>} store key -> units that read it the last time they were drawn, see _drawUnit */
+        this._storeReaders = new Map();
+        
+        // hit testing goes through a grid of unit hit bounds, each unit moved in it as it changes (see _processUnitChanges)
+        this._spatialIndex = new SpatialGrid();
+        /** @type {Map<Unit, number>} draw order, higher is on top, kept by zSortUnits() */
+        this._indexOrder = new Map();
+
+        /** @type {VectorContext2D | null} set while describeFrame() redirects drawing */
+        this._drawTarget = null;
+
+        /** @type {number} device pixels per CSS pixel the backing store is currently scaled by */
+        this.pixelRatio = 1;
+        this._hiDPIApplied = false;
 
         const resizeCanvasToMatch = () => {
-            this.canvas.width = container.clientWidth;
-            this.canvas.height = container.clientHeight;
-            this.store.set(Context.SIZE_STORE_KEY, { width: canvas.width, height: canvas.height });
+            const width = fixedSize ? fixedSize.width : container.clientWidth;
+            const height = fixedSize ? fixedSize.height : container.clientHeight;
+            this.pixelRatio = pixelRatio ?? ((typeof window !== 'undefined' && window.devicePixelRatio) || 1);
+            
+            // backing store is in device pixels, layout and unit coordinates stay in CSS pixels
+            this.canvas.width = Math.round(width * this.pixelRatio);
+            this.canvas.height = Math.round(height * this.pixelRatio);
+            // node canvases have no style
+            if (this.canvas.style) {
+                this.canvas.style.width = width + "px";
+                this.canvas.style.height = height + "px";
+            }
+            // resizing the backing store resets the 2d transform, and clears it
+            this._hiDPIApplied = false;
+            this.invalidate();
+            
+            this.store.set(Context.SIZE_STORE_KEY, { width, height });
         };
         
-        const observer = new ResizeObserver(resizeCanvasToMatch);
-        observer.observe(container);
+        this._resizeObserver = null;
+        this._pixelRatioQuery = null;
+        if (!fixedSize) {
+            const observer = new ResizeObserver(resizeCanvasToMatch);
+            observer.observe(container);
+            this._resizeObserver = observer;
+        }
+        
+        // devicePixelRatio changes when the window is dragged to another monitor or zoomed,
+        // the media query only matches the current ratio so it is re-created on every change
+        this._onPixelRatioChange = () => {
+            resizeCanvasToMatch();
+            this._watchPixelRatio();
+        };
+        if (!fixedSize && pixelRatio === null) this._watchPixelRatio();
         
         this.store.set(Context.SIZE_STORE_KEY, {});
-        this.store.onChange(Context.SIZE_STORE_KEY, this.setupAnchors.bind(this));
+        this._onSizeChange = this.setupAnchors.bind(this);
+        this.store.onChange(Context.SIZE_STORE_KEY, this._onSizeChange);
+        
+        // a store change redraws the units whose drawing read the key
+        this._onStoreChange = (key) => this._storeReaders.get(key)?.forEach(unit => unit.invalidate());
+        this.store.onAnyChange(this._onStoreChange);
         
-        const hiddenInput = document.createElement("input");
-        hiddenInput.style.position = "absolute";
-        hiddenInput.style.opacity = "0";
-        hiddenInput.style.pointerEvents = "none";
-        container.appendChild(hiddenInput);
-        this._hiddenInput = hiddenInput;
+        // undo/redo of an attribute mirror puts the attribute back too, before bindings read it
+        this._onStoreRestore = (key, value) => {
+            const mirror = this._attributeStoreKeys.get(key);
+            if (mirror) setUnitProperty(mirror.unit, mirror.attributeName, value);
+        };
+        this.store.onRestore(this._onStoreRestore);
+        
+        // text entry goes through a real input, there is none without a DOM (headless)
+        this._hiddenInput = null;
+        if (container && typeof document !== 'undefined') {
+            const hiddenInput = document.createElement("input");
+            hiddenInput.style.position = "absolute";
+            hiddenInput.style.opacity = "0";
+            hiddenInput.style.pointerEvents = "none";
+            container.appendChild(hiddenInput);
+            this._hiddenInput = hiddenInput;
+        }
         
         resizeCanvasToMatch();
 
-        self.AnimateOneEnvironment.exposeSketchEnvironment(__ExternallyDefinedSketchId__, this);
+        animateOneGlobal.AnimateOneEnvironment.exposeSketchEnvironment(this.sketchId, this);
+    }
+    
+    _watchPixelRatio() {
+        this._pixelRatioQuery?.removeEventListener("change", this._onPixelRatioChange);
+        this._pixelRatioQuery = window.matchMedia?.(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+        this._pixelRatioQuery?.addEventListener("change", this._onPixelRatioChange);
+    }
+    
+    /**
+    * Releases everything this context created: the resize observer, the hidden input,
+    * gesture listeners, scheduled tasks, units and their store subscriptions.
+    * The context must not be used afterwards.
+    */
+    destroy() {
+        this.gestureDetector?.dispose();
+        this.disableAccessibility();
+        this.scheduler.stop();
+        
+        this._resizeObserver?.disconnect();
+        this._pixelRatioQuery?.removeEventListener("change", this._onPixelRatioChange);
+        if (this._hiddenInput) {
+            this._hiddenInput.oninput = null;
+            this._hiddenInput.onblur = null;
+            this._hiddenInput.remove();
+        }
+        
+        this.store.removeOnChange(Context.SIZE_STORE_KEY, this._onSizeChange);
+        this.store.removeOnAnyChange(this._onStoreChange);
+        this.store.removeOnRestore(this._onStoreRestore);
+        StoreLink.links.forEach(link => link.remove(this.store));
+        [...this._units].forEach(unit => unit.delete());
+        this.store.clearListeners();
+        
+        const sketch = animateOneGlobal.AnimateOneEnvironment.sketches[this.sketchId];
+        if (sketch?.context === this) sketch.context = null;
     }
     
     focusInput(storeKey, onInput, bounds) {
         const input = this._hiddenInput;
+        if (!input) return;
         input.value = this.store.get(storeKey) ?? "";
         // input.style.opacity = "1";
         input.style.pointerEvents = "auto";
@@ -197,21 +985,24 @@ class Context {
             }
         }
         
-        for (let r = 0; r < this.anchorNames.length; r++) {
-            for (let c = 0; c < this.anchorNames[0].length; c++) {
-                const name = "CONTEXT-ANCHOR-UNIT-" + this.anchorNames[r][c];
-                const anchorUnit = this._units.find(u => u.name === name);
-                if (!anchorUnit) throw Error("Screen anchor was removed / not found");
-                
-                const xFrac = c / 2; // 0, 0.5, 1
-                const yFrac = r / 2; // 0, 0.5, 1
-                
-                const newX = size.width * xFrac;
-                const newY = size.height * yFrac;
-                
-                anchorUnit.update("pos", { x: newX, y: newY });
+        // one batch, so units bound to several anchors move once per resize
+        this.store.batch(() => {
+            for (let r = 0; r < this.anchorNames.length; r++) {
+                for (let c = 0; c < this.anchorNames[0].length; c++) {
+                    const name = "CONTEXT-ANCHOR-UNIT-" + this.anchorNames[r][c];
+                    const anchorUnit = this._units.find(u => u.name === name);
+                    if (!anchorUnit) throw Error("Screen anchor was removed / not found");
+                    
+                    const xFrac = c / 2; // 0, 0.5, 1
+                    const yFrac = r / 2; // 0, 0.5, 1
+                    
+                    const newX = size.width * xFrac;
+                    const newY = size.height * yFrac;
+                    
+                    anchorUnit.update("pos", { x: newX, y: newY });
+                }
             }
-        }
+        });
     }
     
     /**
@@ -234,129 +1025,795 @@ class Context {
         return this._units.find(unit => unit.name === "CONTEXT-ANCHOR-UNIT-" + posName);
     }
     
-    getCanvasContext() {
-        return this._setupHiDPICanvas(this.canvas);
+    /**
+    * Units reachable with Tab, in order. Like the DOM, a positive tabIndex comes first (ascending),
+    * then units with tabIndex 0 in z-order. Units with a negative tabIndex are skipped (see Unit.getTabIndex).
+    * @returns {Unit[]}
+    */
+    getTabOrder() {
+        this.zSortUnits();
+        const focusable = this._units.filter(unit => unit.enabled && unit.getTabIndex() >= 0);
+        const explicit = focusable.filter(unit => unit.getTabIndex() > 0).sort((a, b) => a.getTabIndex() - b.getTabIndex());
+        const natural = focusable.filter(unit => unit.getTabIndex() === 0);
+        return [...explicit, ...natural];
     }
     
-    addUnit(unit) {
-        this.zSorted = false;
-        this._units.push(unit);
-        // console.log(this._units.length);
+    /**
+    * Moves keyboard focus to a unit, or clears it when given null.
+    * @param {Unit | null} unit 
+    */
+    focusUnit(unit) {
+        if (this.focusedUnit === unit) return;
+        const previous = this.focusedUnit;
+        this.focusedUnit = unit;
+        previous?.onBlur?.();
+        unit?.onFocus?.();
+        // the focus ring moved
+        previous?.invalidate();
+        unit?.invalidate();
     }
     
-    removeUnit(name) {
-        this._units = this._units.filter(unit => unit.name !== name);
-        // console.log("HIIIIII",  this._units.length);
+    blurUnit() {
+        this.focusUnit(null);
     }
     
-    zSortUnits() {
-        if (this.zSorted) return;
-        this._units.sort((a, b) => a.zOrder - b.zOrder);
+    /**
+    * Focuses the next (or previous) unit in tab order.
+    * @param {boolean} [backwards=false]
+    * @returns {boolean} false when focus ran off either end, so it can leave the canvas
+    */
+    focusNext(backwards = false) {
+        const order = this.getTabOrder();
+        const index = order.indexOf(this.focusedUnit);
+        const nextIndex = index === -1
+            ? (backwards ? order.length - 1 : 0)
+            : index + (backwards ? -1 : 1);
+        const next = order[nextIndex] ?? null;
+        this.focusUnit(next);
+        return next !== null;
     }
     
-    _setupHiDPICanvas(canvas) {
-        const ctx = canvas.getContext("2d");
-        return ctx;
+    /**
+    * Delivers a key press to a unit. Enter and Space then activate its onClick,
+    * unless the unit's onKeyDown prevented the default.
+    * @param {Unit} unit 
+    * @param {KeyboardEvent} event 
+    */
+    dispatchKeyDown(unit, event) {
+        unit.onKeyDown?.(event);
+        if (!event.defaultPrevented && (event.key === "Enter" || event.key === " ")) {
+            event.preventDefault();
+            unit.onClick?.(event);
+        }
     }
     
-    randomName(target) {
-        return target + "::" + (Math.floor(Math.random() * (9999999 - 1000000 + 1)) + 1000000);
+    /**
+    * Turns on the accessibility mirror: units with a `role` get hidden DOM nodes screen readers can use.
+    * @param {number} [syncInterval] - ms between position / label refreshes
+    * @returns {AccessibilityMirror}
+    */
+    enableAccessibility(syncInterval) {
+        this.accessibility = this.accessibility || new AccessibilityMirror(this, syncInterval);
+        return this.accessibility;
     }
-}
+    
+    disableAccessibility() {
+        this.accessibility?.dispose();
+        this.accessibility = null;
+    }
+    
+    /**
+    * Captures the sketch to a WebM video, an animated GIF or a PNG per frame, see SketchRecorder for the options.
+    * Use a SketchRecorder directly to stop early or follow progress.
+    *
+    * Example:
+    *   const video = await context.record({ format: "webm", duration: 5000 });
+    *   const gif = await context.record({ format: "gif", duration: 2000, fps: 15, width: 400, channels: ["animation"] });
+    * @param {Object} [options]
+    * @returns {Promise<Blob | Blob[]>}
+    */
+    record(options) {
+        return new SketchRecorder(this, options).start();
+    }
+    
+    getCanvasContext() {
+        return this._drawTarget ?? this._setupHiDPICanvas(this.canvas);
+    }
+    
+    /**
+    * Draws the current frame onto a VectorContext2D instead of the canvas: every unit in z-order, as the
+    * render loop would, minus the focus ring. The result can be written with frameToSVG / frameToPDF.
+    * @returns {{width: number, height: number, items: Object[], clips: Object[]}}
+    */
+    describeFrame() {
+        const { width, height } = this.store.get(Context.SIZE_STORE_KEY);
+        // measure text like the canvas did so wrapping matches (a RecordingCanvas approximates anyway)
+        const measurer = this.canvas instanceof RecordingCanvas ? null : this.canvas.getContext("2d");
+        const target = new VectorContext2D(measurer);
+        const focused = this.focusedUnit;
+        this._drawTarget = target;
+        this.focusedUnit = null;
+        try {
+            this.zSortUnits();
+            target.fillStyle = this.canvasBgColor;
+            target.fillRect(0, 0, width, height);
+            this._units.forEach(unit => unit.draw(this));
+        } finally {
+            this._drawTarget = null;
+            this.focusedUnit = focused;
+        }
+        return { width, height, items: target.items, clips: target.clips };
+    }
+    
+    /**
+    * The current frame as an SVG document.
+    * @returns {string}
+    */
+    toSVG() {
+        return frameToSVG(this.describeFrame());
+    }
+    
+    /**
+    * The current frame as a printable one page PDF.
+    * @returns {Uint8Array}
+    */
+    toPDF() {
+        return frameToPDF(this.describeFrame());
+    }
+    
+    /**
+    * Builds the units, widgets and store values of a scene (see SCENE FORMAT) into this context,
+    * next to whatever is already in it.
+    * @param {Object | string} scene - scene object or its JSON
+    * @returns {Unit[]} the units and widget units created, in scene order (widgets first)
+    */
+    loadScene(scene) {
+        // parsed fresh either way so units never share objects with the caller's scene
+        scene = JSON.parse(typeof scene === "string" ? scene : JSON.stringify(scene));
+        if (scene.version !== Context.SCENE_VERSION) throw Error("Unsupported scene version: " + scene.version);
+        const { canvas = {}, store = {}, units = [], widgets = [] } = scene;
+        
+        if (canvas.background !== undefined) this.canvasBgColor = canvas.background;
+        if (canvas.focusRingColor !== undefined) this.focusRingColor = canvas.focusRingColor;
+        if (canvas.renderMode !== undefined) this.setRenderMode(canvas.renderMode);
+        
+        // parents and bindings refer to units by name, checked before anything is built
+        const taken = new Set(this._units.map(unit => unit.name));
+        [...widgets, ...units].forEach(({ name }) => {
+            if (name === undefined) return;
+            if (taken.has(name)) throw Error("Scene unit name is already in use: " + name);
+            taken.add(name);
+        });
+        
+        /** @type {[Unit, Object][]} */
+        const created = [];
+        widgets.forEach(entry => {
+            const create = SCENE_WIDGETS[entry.type];
+            if (!create) throw Error("Unknown widget type in scene: " + entry.type);
+            const root = create(this, entry.options ?? {});
+            SCENE_WIDGET_ATTRIBUTES
+                .filter(attr => entry[attr] !== undefined)
+                .forEach(attr => root.update(attr, entry[attr]));
+            created.push([root, entry]);
+        });
+        units.forEach(entry => {
+            const { parent, bindPosition, image, ...attributes } = entry;
+            const unit = new Unit(this, attributes);
+            // without a DOM (headless) there is nothing to load the image into
+            if (image && typeof Image !== 'undefined') {
+                unit.image = new Image();
+                unit.image.src = image;
+            }
+            created.push([unit, entry]);
+        });
+        
+        // parents and bindings refer to units by name, so they wait until every unit exists
+        const find = (name, what) => {
+            const matches = this._units.filter(u => u.name === name);
+            if (matches.length === 0) throw Error(`Scene ${what} not found: ${name}`);
+            if (matches.length > 1) throw Error(`Scene ${what} is ambiguous, ${matches.length} units are named ${name}`);
+            return matches[0];
+        };
+        created.forEach(([unit, { parent }]) => {
+            if (parent) find(parent, "parent").addChild(unit);
+        });
+        created.forEach(([unit, { bindPosition }]) => {
+            if (bindPosition) unit.bindPositionRelativeTo(find(bindPosition.to, "binding target"), bindPosition.direction, bindPosition.offset);
+        });
+        
+        // seeds last so every onDataChange handler sees them, values already in place (like
+        // a fresh slider's empty text box) are left alone so they don't fire for nothing
+        const current = new Map(this.store.entries());
+        for (const key in store) {
+            if (current.has(key) && JSON.stringify(current.get(key)) === JSON.stringify(store[key])) continue;
+            this.store.set(key, store[key]);
+        }
+        
+        this.invalidate();
+        return created.map(([unit]) => unit);
+    }
+    
+    /**
+    * Describes this context as a scene (see SCENE FORMAT) that loadScene() can rebuild.
+    * Code (handlers, custom draw functions) is not saved, units made by widgets are saved as their widget.
+    * @returns {Object} JSON-safe scene object
+    */
+    serializeScene() {
+        const units = [];
+        const widgets = [];
+        const common = (unit) => ({
+            parent: unit.parent?.name ?? null,
+            bindPosition: unit.positionBinding ? toSceneValue(unit.positionBinding) : null
+        });
+        
+        // depth first from the roots, so a parent is always built before its children
+        const visit = (unit) => {
+            if (unit.widget && !unit.widgetRoot) {
+                const { type, options } = unit.widget;
+                if (type === "plot" && !options.expression) {
+                    console.warn(`Plot ${unit.name} was made from a function, only plots with an expression can be saved in a scene`);
+                } else {
+                    const entry = { type, name: unit.name, options: toSceneValue(options) };
+                    SCENE_WIDGET_ATTRIBUTES.forEach(attr => entry[attr] = toSceneValue(unit[attr]));
+                    widgets.push(Object.assign(entry, common(unit)));
+                }
+            } else if (!unit.widgetRoot && !unit.name.startsWith("CONTEXT-ANCHOR-UNIT")) {
+                const entry = { name: unit.name };
+                SCENE_UNIT_ATTRIBUTES.forEach(attr => {
+                    const value = toSceneValue(unit[attr]);
+                    if (value !== undefined) entry[attr] = value;
+                });
+                if (unit.image?.src) entry.image = unit.image.src;
+                units.push(Object.assign(entry, common(unit)));
+            }
+            unit.children.forEach(visit);
+        };
+        this._units.filter(unit => !unit.parent).forEach(visit);
+        
+        const store = {};
+        this.store.entries()
+            .filter(([key]) => !key.startsWith("CONTEXT::") && !this._attributeStoreKeys.has(key))
+            .forEach(([key, value]) => {
+                value = toSceneValue(value);
+                if (value !== undefined) store[key] = value;
+            });
+        
+        return {
+            version: Context.SCENE_VERSION,
+            canvas: { background: this.canvasBgColor, focusRingColor: this.focusRingColor, renderMode: this.renderMode },
+            store,
+            units,
+            widgets
+        };
+    }
+    
+    /**
+    * Saves the store's own keys (slider values, text box text, anything set by the sketch) so they survive
+    * a reload, see StorePersistence. Unit attribute mirrors and the context's keys are never saved.
+    * @param {Object} [options] - as StorePersistence, name defaults to one per sketch id
+    * @returns {StorePersistence}
+    */
+    persist(options = {}) {
+        const { name = "animate-one::" + this.sketchId, exclude = [] } = options;
+        return new StorePersistence(this.store, {
+            ...options,
+            name,
+            exclude: [...exclude, "CONTEXT*", (key) => this._attributeStoreKeys.has(key)]
+        });
+    }
+    
+    /**
+    * Links this sketch's store with every other store joining a link of the same name, on this page or in
+    * other tabs (see StoreLink). Unit attribute mirrors and the context's keys are never linked, so sketches
+    * keep their own layout.
+    * @param {string} name 
+    * @param {Object} [options] - as StoreLink, only used by the first store to join
+    * @returns {StoreLink}
+    */
+    linkStore(name, options = {}) {
+        const { exclude = [] } = options;
+        return StoreLink.join(name, this.store, { ...options, exclude: [...exclude, Context.isAttributeStoreKey] });
+    }
+    
+    /**
+    * Whether a key mirrors a unit attribute in any sketch on the page.
+    * @param {string} key 
+    */
+    static isAttributeStoreKey(key) {
+        return Object.values(animateOneGlobal.AnimateOneEnvironment.sketches)
+            .some(sketch => sketch.context?._attributeStoreKeys.has(key));
+    }
+    
+    /**
+    * Turns on undo/redo for the store (see DataStore.enableHistory), leaving out the keys the context
+    * keeps for itself (canvas size, screen anchors) since those follow the window, not the student.
+    * Unit attribute mirrors are left out too, every animation frame writes them; name the ones whose
+    * changes should be undoable in recordAttributes (patterns as matchesKeyPattern, e.g. "box::pos").
+    * @param {Object} [options] - as DataStore.enableHistory
+    * @param {(string | RegExp | function(string): boolean)[]} [options.recordAttributes] - attribute mirror keys to record
+    */
+    enableHistory(options = {}) {
+        const { ignore = null, recordAttributes = [] } = options;
+        const isIgnoredMirror = (key) => this._attributeStoreKeys.has(key)
+            && !recordAttributes.some(pattern => matchesKeyPattern(key, pattern));
+        this.store.enableHistory({
+            ...options,
+            ignore: (key) => key.startsWith("CONTEXT") || isIgnoredMirror(key) || (ignore?.(key) ?? false)
+        });
+    }
+    
+    /**
+    * Switches between redrawing every frame ('continuous') and only when something was invalidated ('on-demand').
+    * In 'on-demand' mode changed units (see Unit.TRACKED_ATTRIBUTES), store keys units read while drawing, input,
+    * resizes and scheduler tasks (see ScheduledTask.marksDirty) redraw automatically, anything else needs unit.invalidate().
+    * @param {'continuous' | 'on-demand'} mode 
+    */
+    setRenderMode(mode) {
+        this.renderMode = mode;
+        this.invalidate();
+    }
+    
+    /**
+    * Marks the next frame for redraw. With a rect only that region is repainted (in 'on-demand' mode).
+    * @param {{x: number, y: number, width: number, height: number}} [rect] - canvas space
+    */
+    invalidate(rect) {
+        if (!rect) {
+            this._dirtyFull = true;
+            return;
+        }
+        const r = this._dirtyRect;
+        if (!r) {
+            this._dirtyRect = { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
+            return;
+        }
+        const minX = Math.min(r.x, rect.x);
+        const minY = Math.min(r.y, rect.y);
+        this._dirtyRect = {
+            x: minX,
+            y: minY,
+            width: Math.max(r.x + r.width, rect.x + rect.width) - minX,
+            height: Math.max(r.y + r.height, rect.y + rect.height) - minY
+        };
+    }
+    
+    /**
+    * Topmost enabled unit whose hitTest accepts the point.
+    * @param {number} x - canvas space
+    * @param {number} y - canvas space
+    * @returns {Unit | null}
+    */
+    unitAt(x, y) {
+        const candidates = this._getSpatialIndex().queryPoint(x, y);
+        const order = this._indexOrder;
+        candidates.sort((a, b) => order.get(b) - order.get(a));
+        
+        for (const unit of candidates) {
+            if (unit.enabled && unit.hitTest(x, y)) {
+                return unit;
+            }
+        }
+        return null;
+    }
+    
+    /**
+    * The spatial index, caught up with the units changed since it was last used.
+    * @returns {SpatialGrid}
+    */
+    _getSpatialIndex() {
+        this._processUnitChanges();
+        this.zSortUnits();
+        return this._spatialIndex;
+    }
+    
+    /**
+    * Redraws once the image finishes loading, for units drawn before their image arrived.
+    * @param {HTMLImageElement} image 
+    */
+    invalidateOnLoad(image) {
+        if (this._pendingImages.has(image)) return;
+        this._pendingImages.add(image);
+        image.addEventListener("load", () => {
+            this._pendingImages.delete(image);
+            this.invalidate();
+        }, { once: true });
+    }
+    
+    /**
+    * Returns what the render task has to repaint this frame and clears it.
+    * @returns {true | {x: number, y: number, width: number, height: number} | null} true for the whole canvas, null for nothing
+    */
+    _takeDirty() {
+        this._processUnitChanges();
+        const tasksRan = this.scheduler.takeFrameDirty();
+        const full = this.renderMode === 'continuous' || this._dirtyFull || tasksRan;
+        const rect = this._dirtyRect;
+        this._dirtyFull = false;
+        this._dirtyRect = null;
+        if (full) return true;
+        return rect;
+    }
+    
+    addUnit(unit) {
+        this._units.push(unit);
+        this._unitChanged(unit, true);
+        // console.log(this._units.length);
+    }
+    
+    removeUnit(name) {
+        this._units = this._units.filter(unit => {
+            if (unit.name !== name) return true;
+            // where it was drawn still has to be cleared
+            unit._removed = true;
+            this._unitChanged(unit);
+            return false;
+        });
+        // console.log("HIIIIII",  this._units.length);
+    }
+    
+    /**
+    * Notes that a unit has to be redrawn, see _processUnitChanges.
+    * @param {Unit} unit 
+    * @param {boolean} [reordered=false] - whether the draw order may have changed (zOrder, parent)
+    */
+    _unitChanged(unit, reordered = false) {
+        if (reordered) this.zSorted = false;
+        this._changedUnits.add(unit);
+    }
+    
+    /**
+    * Marks for redraw where each unit changed since the last call was drawn and where it is now,
+    * together with its children, which are drawn relative to it, and moves them in the spatial index.
+    * Units that draw outside their bounds (see Unit.drawsOutsideBounds) redraw the whole canvas.
+    */
+    _processUnitChanges() {
+        if (this._changedUnits.size === 0) return;
+        const changed = new Set();
+        const visit = (unit) => {
+            if (changed.has(unit)) return;
+            changed.add(unit);
+            unit.children.forEach(visit);
+        };
+        this._changedUnits.forEach(visit);
+        this._changedUnits.clear();
+        
+        changed.forEach(unit => {
+            if (unit.drawsOutsideBounds) this.invalidate();
+            if (unit._paintBounds) this.invalidate(unit._paintBounds);
+            this._spatialIndex.remove(unit);
+            if (unit._removed) {
+                unit._paintBounds = null;
+                this._forgetStoreReads(unit);
+                return;
+            }
+            unit._paintBounds = unit.getPaintBounds();
+            this.invalidate(unit._paintBounds);
+            this._spatialIndex.insert(unit, unit.getHitBounds());
+        });
+    }
+    
+    /**
+    * Draws a unit, noting the store keys it reads so that setting one of them redraws it.
+    * @param {Unit} unit 
+    */
+    _drawUnit(unit) {
+        const keys = this.store.collectReads(() => unit.draw(this));
+        this._forgetStoreReads(unit);
+        keys.forEach(key => {
+            if (!this._storeReaders.has(key)) this._storeReaders.set(key, new Set());
+            this._storeReaders.get(key).add(unit);
+        });
+        unit._storeReads = keys;
+    }
+    
+    _forgetStoreReads(unit) {
+        unit._storeReads.forEach(key => {
+            const readers = this._storeReaders.get(key);
+            readers?.delete(unit);
+            if (readers?.size === 0) this._storeReaders.delete(key);
+        });
+        unit._storeReads = new Set();
+    }
+    
+    /**
+    * Orders units for drawing by zOrder. A child never draws below its parent (its zOrder counts as at least
+    * the parent's) but can rise above other units with its own, like a slider's text box. Equal ones keep
+    * tree order: roots in the order they were added, each followed by its children.
+    * Cached until a unit is added, reparented or changes zOrder.
+    */
+    zSortUnits() {
+        if (this.zSorted) return;
+        const byZ = (a, b) => a.zOrder - b.zOrder;
+        const treeOrder = [];
+        /** @type {Map<Unit, number>} */
+        const effectiveZ = new Map();
+        const visit = (unit, parentZ) => {
+            const z = Math.max(parentZ, unit.zOrder);
+            treeOrder.push(unit);
+            effectiveZ.set(unit, z);
+            [...unit.children].sort(byZ).forEach(child => visit(child, z));
+        };
+        this._units.filter(unit => !unit.parent).sort(byZ).forEach(unit => visit(unit, -Infinity));
+        // sort is stable, so tree order settles ties
+        this._units = treeOrder.sort((a, b) => effectiveZ.get(a) - effectiveZ.get(b));
+        this._indexOrder = new Map(this._units.map((unit, i) => [unit, i]));
+        this.zSorted = true;
+    }
+    
+    /**
+    * Returns the 2d context with the devicePixelRatio transform applied, so drawing code
+    * works in CSS pixels while the backing store keeps full device resolution.
+    * @param {HTMLCanvasElement} canvas
+    * @returns {CanvasRenderingContext2D}
+    */
+    _setupHiDPICanvas(canvas) {
+        const ctx = canvas.getContext("2d");
+        if (!this._hiDPIApplied) {
+            ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+            this._hiDPIApplied = true;
+        }
+        return ctx;
+    }
+    
+    randomName(target) {
+        return target + "::" + (Math.floor(Math.random() * (9999999 - 1000000 + 1)) + 1000000);
+    }
+}
+
+/**
+ * Uniform grid over canvas space. Items are bucketed by their bounding box so a point query
+ * only has to look at the few items sharing its cell instead of every unit on the canvas.
+ */
+class SpatialGrid {
+    //items covering more cells than this (backgrounds, containers) are kept in one list checked on every query
+    static MAX_CELLS_PER_ITEM = 256;
+
+    /**
+     * @param {number} [cellSize=64] - cell edge in CSS pixels
+     */
+    constructor(cellSize = 64) {
+        this.cellSize = cellSize;
+        /** @type {Map<string, any[]>} */
+        this._cells = new Map();
+        this._oversized = [];
+        /** @type {Map<any, string[] | null>} cell keys of every item, null for oversized ones */
+        this._itemCells = new Map();
+    }
+
+    clear() {
+        this._cells.clear();
+        this._oversized = [];
+        this._itemCells.clear();
+    }
+
+    /**
+     * @param {*} item 
+     * @param {{x: number, y: number, width: number, height: number}} bounds 
+     */
+    insert(item, bounds) {
+        const size = this.cellSize;
+        const x0 = Math.floor(bounds.x / size);
+        const y0 = Math.floor(bounds.y / size);
+        const x1 = Math.floor((bounds.x + bounds.width) / size);
+        const y1 = Math.floor((bounds.y + bounds.height) / size);
+
+        const cellCount = (x1 - x0 + 1) * (y1 - y0 + 1);
+        if (!Number.isFinite(cellCount) || cellCount > SpatialGrid.MAX_CELLS_PER_ITEM) {
+            this._oversized.push(item);
+            this._itemCells.set(item, null);
+            return;
+        }
+
+        const keys = [];
+        for (let cx = x0; cx <= x1; cx++) {
+            for (let cy = y0; cy <= y1; cy++) {
+                const key = cx + "," + cy;
+                const cell = this._cells.get(key);
+                if (cell) cell.push(item);
+                else this._cells.set(key, [item]);
+                keys.push(key);
+            }
+        }
+        this._itemCells.set(item, keys);
+    }
+
+    /**
+     * Takes an item out of the grid, does nothing if it isn't in it.
+     * @param {*} item 
+     */
+    remove(item) {
+        if (!this._itemCells.has(item)) return;
+        const keys = this._itemCells.get(item);
+        this._itemCells.delete(item);
+        if (!keys) {
+            this._oversized = this._oversized.filter(other => other !== item);
+            return;
+        }
+        keys.forEach(key => {
+            const cell = this._cells.get(key).filter(other => other !== item);
+            if (cell.length > 0) this._cells.set(key, cell);
+            else this._cells.delete(key);
+        });
+    }
+
+    /**
+     * Items whose bounds may contain the point, in no particular order.
+     * @returns {any[]}
+     */
+    queryPoint(x, y) {
+        const key = Math.floor(x / this.cellSize) + "," + Math.floor(y / this.cellSize);
+        const cell = this._cells.get(key);
+        return cell ? cell.concat(this._oversized) : this._oversized.slice();
+    }
+}
 
 class GestureDetector {
+    static LONG_PRESS_MS = 500;
+    //how far (in px) a touch may wander before it no longer counts as a long press
+    static LONG_PRESS_SLOP = 10;
+
     constructor(context) {
         this.context = context;
 
-        this._isDragging = false;
-        this._dragStart = null;
-        this._dragUnit = null;
-        this._longPressTimeout = null;
+        /** @type {Map<number, {id: number, start: {x: number, y: number}, current: {x: number, y: number}, unit: Unit | null, longPressTimeout: any}>} active pointers by pointerId */
+        this._pointers = new Map();
+        /** two-finger gesture in progress, null otherwise */
+        this._multiTouch = null;
         this._hoveredUnit = null;
         this._lastMousePos = null; // ⬅️ Track mouse persistently
+        /** @type {Object<string, Function>} canvas listeners, kept so dispose() can detach them */
+        this._handlers = {};
 
+        context.gestureDetector = this;
         this._registerEvents();
     }
 
+    /**
+     * Detaches every canvas listener and the hover polling task.
+     */
+    dispose() {
+        const canvas = this.context.canvas;
+        for (const type in this._handlers) {
+            canvas.removeEventListener(type, this._handlers[type]);
+        }
+        this._handlers = {};
+
+        for (const pointer of this._pointers.values()) {
+            clearTimeout(pointer.longPressTimeout);
+        }
+        this._pointers.clear();
+        this._multiTouch = null;
+        this.context.scheduler.remove("hover-polling");
+
+        this._hoveredUnit = null;
+        this._lastMousePos = null;
+        if (this.context.gestureDetector === this) this.context.gestureDetector = null;
+    }
+
+    /**
+     * Topmost enabled unit under a point, or null.
+     * @returns {Unit | null}
+     */
+    _hitUnit(x, y) {
+        return this.context.unitAt(x, y);
+    }
+
     _registerEvents() {
         const canvas = this.context.canvas;
+        // let touch input reach the sketch instead of scrolling or zooming the page
+        canvas.style.touchAction = "none";
+        // make the canvas focusable so it receives key events
+        if (!(canvas.tabIndex >= 0)) canvas.tabIndex = 0;
 
-        canvas.addEventListener("click", (event) => {
-            const { x, y } = this._getMousePos(event);
-            for (let unit of [...this.context._units].reverse()) {
-                if (unit.hitTest(x, y) && unit.enabled) {
-                    unit.onClick?.(event);
-                    break;
+        const listen = (type, handler) => {
+            const redrawingHandler = (event) => {
+                handler(event);
+                // handlers usually change what is drawn, a plain mouse move only matters once the hover changes
+                if (type !== "pointermove" || this._pointers.has(event.pointerId)) {
+                    this.context.invalidate();
                 }
-            }
-        });
+            };
+            this._handlers[type] = redrawingHandler;
+            canvas.addEventListener(type, redrawingHandler);
+        };
 
-        canvas.addEventListener("dblclick", (event) => {
+        listen("click", (event) => {
             const { x, y } = this._getMousePos(event);
-            for (let unit of [...this.context._units].reverse()) {
-                if (unit.hitTest(x, y) && unit.enabled) {
-                    unit.onDoubleClick?.(event);
-                    break;
-                }
-            }
+            this._hitUnit(x, y)?.onClick?.(event);
         });
 
-        canvas.addEventListener("mousedown", (event) => {
+        listen("dblclick", (event) => {
             const { x, y } = this._getMousePos(event);
+            this._hitUnit(x, y)?.onDoubleClick?.(event);
+        });
 
-            for (let unit of [...this.context._units].reverse()) {
-                if (unit.hitTest(x, y) && unit.enabled) {
-                    unit.onMouseDown?.(event);
-                    this._isDragging = true;
-                    this._dragStart = { x, y };
-                    this._dragUnit = unit;
-
-                    this._longPressTimeout = setTimeout(() => {
-                        unit.onLongPress?.(event);
-                    }, 500);
-                    break;
-                }
+        listen("pointerdown", (event) => {
+            const pos = this._getMousePos(event);
+            // keep receiving moves for this pointer even after it leaves the canvas
+            canvas.setPointerCapture?.(event.pointerId);
+
+            const unit = this._hitUnit(pos.x, pos.y);
+            this.context.focusUnit(unit && unit.getTabIndex() >= 0 ? unit : null);
+            const pointer = { id: event.pointerId, start: pos, current: pos, unit, longPressTimeout: null };
+            this._pointers.set(event.pointerId, pointer);
+
+            if (this._pointers.size === 2) {
+                this._beginMultiTouch(event);
+                return;
             }
+            if (this._pointers.size > 2 || !unit) return;
+
+            unit.onMouseDown?.(event);
+            pointer.longPressTimeout = setTimeout(() => {
+                pointer.longPressTimeout = null;
+                unit.onLongPress?.(event);
+            }, GestureDetector.LONG_PRESS_MS);
         });
 
-        canvas.addEventListener("mouseup", (event) => {
-            clearTimeout(this._longPressTimeout);
-            this._longPressTimeout = null;
+        listen("pointermove", (event) => {
+            const pos = this._getMousePos(event);
+            if (event.pointerType !== "touch") {
+                this._lastMousePos = pos;
+            }
 
-            const { x, y } = this._getMousePos(event);
+            const pointer = this._pointers.get(event.pointerId);
+            if (!pointer) return;
+            pointer.current = pos;
 
-            if (this._isDragging && this._dragUnit) {
-                this._dragUnit.onMouseUp?.(event);
-                this._dragUnit.onDrop?.({
-                    event,
-                    start: this._dragStart,
-                    current: { x, y }
-                });
+            if (this._multiTouch) {
+                this._updateMultiTouch(event);
+                return;
+            }
 
-                this._isDragging = false;
-                this._dragStart = null;
-                this._dragUnit = null;
+            if (pointer.longPressTimeout && Math.hypot(pos.x - pointer.start.x, pos.y - pointer.start.y) > GestureDetector.LONG_PRESS_SLOP) {
+                clearTimeout(pointer.longPressTimeout);
+                pointer.longPressTimeout = null;
             }
+
+            pointer.unit?.onDrag?.({
+                event,
+                start: pointer.start,
+                current: pos,
+                pointerId: pointer.id
+            });
         });
 
-        canvas.addEventListener("mousemove", (event) => {
-            const { x, y } = this._getMousePos(event);
-            this._lastMousePos = { x, y };
+        listen("pointerup", (event) => {
+            const pointer = this._releasePointer(event);
+            if (!pointer || !pointer.unit) return;
 
-            if (this._isDragging && this._dragUnit) {
-                this._dragUnit.onDrag?.({
-                    event,
-                    start: this._dragStart,
-                    current: { x, y }
-                });
+            const current = this._getMousePos(event);
+            pointer.unit.onMouseUp?.(event);
+            pointer.unit.onDrop?.({
+                event,
+                start: pointer.start,
+                current,
+                pointerId: pointer.id
+            });
+        });
+
+        // the browser took the pointer away (scrolling, palm rejection, ...), end it without a drop
+        listen("pointercancel", (event) => {
+            this._releasePointer(event);
+        });
+
+        listen("keydown", (event) => {
+            if (event.key === "Tab") {
+                // running off the end lets the browser move focus off the canvas
+                if (this.context.focusNext(event.shiftKey)) event.preventDefault();
+                return;
             }
+
+            const unit = this.context.focusedUnit;
+            if (unit) this.context.dispatchKeyDown(unit, event);
+        });
+
+        listen("keyup", (event) => {
+            this.context.focusedUnit?.onKeyUp?.(event);
         });
 
-        canvas.addEventListener("mouseleave", (event) => {
-            clearTimeout(this._longPressTimeout);
-            this._longPressTimeout = null;
-            this._isDragging = false;
-            this._dragUnit = null;
+        listen("pointerleave", (event) => {
+            if (event.pointerType === "touch") return;
 
             if (this._hoveredUnit) {
                 this._hoveredUnit.onMouseLeave?.(event);
@@ -366,44 +1823,272 @@ class GestureDetector {
             this._lastMousePos = null;
         });
 
-        // 🔁 Add hover tracking loop
-        this.context.scheduler.add("hover-polling", 0, -1, () => {
+        // 🔁 Add hover tracking loop, it only redraws the units whose hover changed
+        const hoverTask = this.context.scheduler.add("hover-polling", 0, -1, () => {
             if (!this._lastMousePos) return;
 
             const { x, y } = this._lastMousePos;
-            let newHoveredUnit = null;
+            const newHoveredUnit = this._hitUnit(x, y);
 
-            for (let unit of [...this.context._units].reverse()) {
-                if (unit.enabled && unit.hitTest(x, y)) {
-                    newHoveredUnit = unit;
-                    if (unit !== this._hoveredUnit) {
-                        unit.onHover?.({ x, y });
-                    }
-                    break;
-                }
+            if (newHoveredUnit && newHoveredUnit !== this._hoveredUnit) {
+                newHoveredUnit.onHover?.({ x, y });
             }
 
             if (this._hoveredUnit && this._hoveredUnit !== newHoveredUnit) {
                 this._hoveredUnit.onMouseLeave?.({ x, y });
             }
 
+            if (this._hoveredUnit !== newHoveredUnit) {
+                this._hoveredUnit?.invalidate();
+                newHoveredUnit?.invalidate();
+            }
             this._hoveredUnit = newHoveredUnit;
         });
+        hoverTask.marksDirty = false;
     }
 
-    _getMousePos(event) {
-        const rect = this.context.canvas.getBoundingClientRect();
-        return {
-            x: event.clientX - rect.left,
-            y: event.clientY - rect.top,
-        };
+    /**
+     * Forgets a pointer, ending any two-finger gesture it was part of.
+     * @returns the released pointer, or null if it was consumed by a multi-touch gesture
+     */
+    _releasePointer(event) {
+        const pointer = this._pointers.get(event.pointerId);
+        if (!pointer) return null;
+
+        clearTimeout(pointer.longPressTimeout);
+        this._pointers.delete(event.pointerId);
+
+        if (this._multiTouch) {
+            if (this._multiTouch.pointerIds.includes(pointer.id)) {
+                this._multiTouch = null;
+            }
+            return null;
+        }
+        return pointer;
     }
-}
 
-function drawDefaultFactory(unit) {
-    return (context) => {
-        function drawRoundedRect(ctx, x, y, width, height, radius) {
-            radius = Math.min(radius, width / 2, height / 2);
+    /**
+     * @param {PointerEvent} event - the second finger going down
+     */
+    _beginMultiTouch(event) {
+        const [a, b] = [...this._pointers.values()];
+
+        // whatever the first finger was dragging becomes the target of the gesture
+        for (const pointer of [a, b]) {
+            clearTimeout(pointer.longPressTimeout);
+            pointer.longPressTimeout = null;
+        }
+        // its drag ends where the finger is now, as if it had been lifted
+        if (a.unit) {
+            a.unit.onMouseUp?.(event);
+            a.unit.onDrop?.({
+                event,
+                start: a.start,
+                current: a.current,
+                pointerId: a.id
+            });
+        }
+        const center = { x: (a.current.x + b.current.x) / 2, y: (a.current.y + b.current.y) / 2 };
+        const unit = a.unit ?? b.unit ?? this._hitUnit(center.x, center.y);
+
+        // the remaining finger must not resume a drag once the gesture ends
+        a.unit = null;
+        b.unit = null;
+
+        this._multiTouch = {
+            unit,
+            pointerIds: [a.id, b.id],
+            startCenter: center,
+            startDistance: Math.hypot(b.current.x - a.current.x, b.current.y - a.current.y),
+            startAngle: Math.atan2(b.current.y - a.current.y, b.current.x - a.current.x)
+        };
+    }
+
+    _updateMultiTouch(event) {
+        const { unit, pointerIds, startCenter, startDistance, startAngle } = this._multiTouch;
+        if (!unit) return;
+
+        const a = this._pointers.get(pointerIds[0]);
+        const b = this._pointers.get(pointerIds[1]);
+        const center = { x: (a.current.x + b.current.x) / 2, y: (a.current.y + b.current.y) / 2 };
+
+        const distance = Math.hypot(b.current.x - a.current.x, b.current.y - a.current.y);
+        const scale = startDistance > 0 ? distance / startDistance : 1;
+
+        // keep the rotation in [-PI, PI] so crossing the atan2 seam doesn't jump a full turn
+        let rotation = Math.atan2(b.current.y - a.current.y, b.current.x - a.current.x) - startAngle;
+        rotation = Math.atan2(Math.sin(rotation), Math.cos(rotation));
+
+        unit.onPinch?.({ event, scale, center, start: startCenter });
+        unit.onRotate?.({ event, rotation, center, start: startCenter });
+    }
+
+    //bounding rect is in CSS pixels, same space as unit coordinates, so devicePixelRatio doesn't apply here
+    _getMousePos(event) {
+        const rect = this.context.canvas.getBoundingClientRect();
+        return {
+            x: event.clientX - rect.left,
+            y: event.clientY - rect.top,
+        };
+    }
+}
+
+/**
+ * Opt-in accessibility layer, created with context.enableAccessibility().
+ * Every Unit with a `role` gets a transparent DOM node placed over its measured bounds,
+ * so screen readers can find, read and operate what is otherwise only pixels on the canvas.
+ */
+class AccessibilityMirror {
+    static SYNC_TASK = "accessibility-sync";
+    //roles that can be operated and so must be reachable with Tab
+    static INTERACTIVE_ROLES = ["button", "slider", "textbox", "checkbox", "link"];
+
+    /**
+     * @param {Context} context 
+     * @param {number} [syncInterval=250] - ms between position / label refreshes
+     */
+    constructor(context, syncInterval = 250) {
+        this.context = context;
+        /** @type {Map<Unit, {node: HTMLElement, valueKey: string | null, onValue: Function | null}>} */
+        this._entries = new Map();
+
+        const root = document.createElement("div");
+        root.setAttribute("role", "group");
+        root.setAttribute("aria-label", "Interactive sketch");
+        root.style.position = "absolute";
+        root.style.overflow = "hidden";
+        // the canvas keeps receiving pointer input and stays the only visible layer
+        root.style.pointerEvents = "none";
+        root.style.opacity = "0";
+        context.canvas.parentElement.appendChild(root);
+        this.root = root;
+
+        const syncTask = context.scheduler.add(AccessibilityMirror.SYNC_TASK, syncInterval, ScheduledTask.INFINITE, () => this.sync(), ['accessibility']);
+        // the mirror is DOM only, nothing on the canvas changes
+        syncTask.marksDirty = false;
+        this.sync();
+    }
+
+    /**
+     * Creates, moves and removes mirror nodes to match the current units.
+     */
+    sync() {
+        const canvas = this.context.canvas;
+        this.root.style.left = canvas.offsetLeft + "px";
+        this.root.style.top = canvas.offsetTop + "px";
+        this.root.style.width = canvas.clientWidth + "px";
+        this.root.style.height = canvas.clientHeight + "px";
+
+        const mirrored = new Set(this.context._units.filter(unit => unit.role));
+        for (const unit of [...this._entries.keys()]) {
+            if (!mirrored.has(unit)) this._unmirror(unit);
+        }
+        for (const unit of mirrored) {
+            const entry = this._entries.get(unit) ?? this._mirror(unit);
+            this._syncNode(unit, entry.node);
+        }
+    }
+
+    _mirror(unit) {
+        const isTextbox = unit.role === "textbox";
+        const node = document.createElement(isTextbox ? "input" : "div");
+        node.setAttribute("role", unit.role);
+        node.style.position = "absolute";
+        node.style.margin = "0";
+        node.style.padding = "0";
+        node.style.border = "none";
+
+        node.addEventListener("focus", () => this.context.focusUnit(unit));
+        node.addEventListener("blur", () => {
+            if (this.context.focusedUnit === unit) this.context.blurUnit();
+        });
+
+        if (isTextbox) {
+            // typing goes straight into the store, the unit redraws from its onDataChange
+            node.addEventListener("input", () => {
+                if (unit.ariaValueKey) this.context.store.set(unit.ariaValueKey, node.value);
+            });
+        } else {
+            node.addEventListener("keydown", (event) => this.context.dispatchKeyDown(unit, event));
+            node.addEventListener("keyup", (event) => unit.onKeyUp?.(event));
+            // screen readers activate with a synthetic click
+            node.addEventListener("click", (event) => unit.onClick?.(event));
+        }
+
+        const entry = { node, valueKey: unit.ariaValueKey ?? null, onValue: null };
+        if (entry.valueKey) {
+            entry.onValue = () => this._syncNode(unit, node);
+            this.context.store.onChange(entry.valueKey, entry.onValue);
+        }
+
+        this.root.appendChild(node);
+        this._entries.set(unit, entry);
+        return entry;
+    }
+
+    _unmirror(unit) {
+        const entry = this._entries.get(unit);
+        if (entry.onValue) this.context.store.removeOnChange(entry.valueKey, entry.onValue);
+        entry.node.remove();
+        this._entries.delete(unit);
+    }
+
+    _syncNode(unit, node) {
+        const bounds = unit.getMeasuredBounds();
+        node.style.left = bounds.x + "px";
+        node.style.top = bounds.y + "px";
+        node.style.width = bounds.width + "px";
+        node.style.height = bounds.height + "px";
+
+        const label = typeof unit.ariaLabel === "function" ? unit.ariaLabel() : (unit.ariaLabel ?? unit.text?.label ?? "");
+        node.setAttribute("aria-label", String(label ?? ""));
+
+        const interactive = AccessibilityMirror.INTERACTIVE_ROLES.includes(unit.role);
+        node.tabIndex = unit.getTabIndex();
+
+        if (unit.enabled || !interactive) {
+            node.removeAttribute("aria-disabled");
+        } else {
+            node.setAttribute("aria-disabled", "true");
+        }
+
+        if (unit.ariaValueMin != null) node.setAttribute("aria-valuemin", String(unit.ariaValueMin));
+        if (unit.ariaValueMax != null) node.setAttribute("aria-valuemax", String(unit.ariaValueMax));
+
+        if (!unit.ariaValueKey) return;
+
+        let value;
+        try {
+            value = this.context.store.get(unit.ariaValueKey);
+        } catch (e) {
+            value = undefined;
+        }
+
+        if (unit.role === "textbox") {
+            // don't fight the caret while the user is typing into the node
+            if (document.activeElement !== node) node.value = value ?? "";
+        } else if (value !== undefined) {
+            node.setAttribute("aria-valuenow", String(value));
+            if (typeof value === "number") node.setAttribute("aria-valuetext", value.toFixed(2));
+        }
+    }
+
+    /**
+     * Removes every mirror node and the sync task.
+     */
+    dispose() {
+        this.context.scheduler.remove(AccessibilityMirror.SYNC_TASK);
+        for (const unit of [...this._entries.keys()]) {
+            this._unmirror(unit);
+        }
+        this.root.remove();
+    }
+}
+
+function drawDefaultFactory(unit) {
+    return (context) => {
+        function drawRoundedRect(ctx, x, y, width, height, radius) {
+            radius = Math.min(radius, width / 2, height / 2);
             ctx.beginPath();
             ctx.moveTo(x + radius, y);
             ctx.lineTo(x + width - radius, y);
@@ -440,16 +2125,17 @@ function drawDefaultFactory(unit) {
         const ctx = context.getCanvasContext();
         if (!ctx) return;
 
-        const { opacity = 1, borderRadius = 0 } = unit;
+        const { borderRadius = 0 } = unit;
         const { width, height } = unit.size;
         const { x: posX, y: posY } = unit.pos;
         const image = unit.image;
         const imageFit = unit.imageFit || 'fill';
 
         ctx.save();
-        ctx.globalAlpha = opacity;
+        ctx.globalAlpha = unit.getWorldOpacity();
 
-        // Center-based transform
+        // Parent transforms, then center-based transform in parent space
+        applyParentTransform(ctx, unit);
         const { x: centerX, y: centerY } = unit.getCenterPos();
         ctx.translate(centerX, centerY);
         ctx.rotate(unit.rot?.x || 0);
@@ -513,8 +2199,8 @@ function drawDefaultFactory(unit) {
 
             ctx.drawImage(image, drawX, drawY, drawW, drawH);
             ctx.restore();
-        } else {
-            // console.log("IMAGE NOT FOUND: ", image);
+        } else if (image && !image.complete) {
+            context.invalidateOnLoad(image);
         }
 
         // Draw all text fields
@@ -555,6 +2241,22 @@ function drawDefaultFactory(unit) {
 
         ctx.restore();
 
+        // Focus ring, drawn outside the clip so it surrounds the unit
+        if (context.focusedUnit === unit) {
+            const ringGap = 3;
+            ctx.save();
+            ctx.globalAlpha = unit.getWorldOpacity();
+            applyParentTransform(ctx, unit);
+            ctx.translate(centerX, centerY);
+            ctx.rotate(unit.rot?.x || 0);
+            ctx.scale(unit.scale?.x || 1, unit.scale?.y || 1);
+            drawRoundedRect(ctx, -width / 2 - ringGap, -height / 2 - ringGap, width + 2 * ringGap, height + 2 * ringGap, borderRadius + ringGap);
+            ctx.strokeStyle = context.focusRingColor;
+            ctx.lineWidth = 2;
+            ctx.stroke();
+            ctx.restore();
+        }
+
     };
 }
 
@@ -585,12 +2287,19 @@ function createFunctionPlotUnit(context, {
     strokeWidth = 2,
     origin = { x: 0, y: 0 },
     zOrder = 1,
+    name = context.randomName("plot"),
+    expression = null // math in x (see compileExpression) used instead of fn, the only kind of plot a scene can save
 }) {
+    const unitsBefore = new Set(context._units);
+    if (expression !== null) fn = compileExpression(expression);
     const unit = new Unit(context, {
+        name,
         pos: origin,
         size: { width, height },
         enabled: false,
         zOrder,
+        // fn can go past the top and bottom of the box
+        drawsOutsideBounds: true,
         draw: (ctxWrapper) => {
             const ctx = ctxWrapper.getCanvasContext();
             if (!ctx) return;
@@ -599,7 +2308,8 @@ function createFunctionPlotUnit(context, {
             const halfWidth = unit.size.width / 2;
             
             ctx.save();
-            ctx.globalAlpha = unit.opacity ?? 1;
+            ctx.globalAlpha = unit.getWorldOpacity();
+            applyParentTransform(ctx, unit);
             ctx.strokeStyle = strokeColor;
             ctx.lineWidth = strokeWidth;
             ctx.beginPath();
@@ -621,6 +2331,7 @@ function createFunctionPlotUnit(context, {
         }
     });
     
+    tagWidget(context, unitsBefore, unit, "plot", { ...arguments[1], name, expression });
     return unit;
 }
 
@@ -635,89 +2346,118 @@ function createSliderUnit(context, {
     y = 0,
     textColor = "black",
     valueColor = "white",
-    valueBgColor = "#ff9800"
+    valueBgColor = "#ff9800",
+    thumbSpring = null // spring physics (see SpringTask) for the thumb to chase the value with, null = jump
 }) {
+    const unitsBefore = new Set(context._units);
     const range = max - min;
     const thumbSize = height * 1.5;
     const storeKey = `${sliderName}::value`;
     const initialValue = min;
     context.store.set(storeKey, initialValue);
     
+    const containerWidth = width + 60;
+    const containerHeight = height + 70;
+    
+    // every other piece is a child of the container, so moving, rotating or fading it moves the whole slider
     const containerUnit = new Unit(context, {
         pos: { x, y },
-        size: { width: width + 60, height: height + 70 },
+        size: { width: containerWidth, height: containerHeight },
         colors: { primary: "transparent" },
         zOrder: 0,
         name: `slider-container-${sliderName}`
     });
     
+    // canvas point -> progress along the track, whatever transforms the slider is under
+    const progressAt = (canvasX, canvasY) => {
+        const local = trackUnit.worldToLocal(canvasX, canvasY);
+        return Math.max(0, Math.min(local.x, width)) / width;
+    };
+    
     const trackUnit = new Unit(context, {
+        parent: containerUnit,
+        pos: { x: (containerWidth - width) / 2, y: (containerHeight - height) / 2 },
         size: { width, height },
         borderRadius: height / 2,
         colors: { primary: "#444" },
         zOrder: 1,
+        // the thumb takes the keyboard, Enter on the track would have no point to jump to
+        tabIndex: -1,
         onClick: (event) => {
+            if (event.clientX === undefined) return;
             const rect = context.canvas.getBoundingClientRect();
-            const clickX = event.clientX - rect.left - trackUnit.pos.x;
-            const clampedX = Math.max(0, Math.min(clickX, width));
-            const progress = clampedX / width;
+            const progress = progressAt(event.clientX - rect.left, event.clientY - rect.top);
             context.store.set(storeKey, min + progress * range);
         }
     });
-    trackUnit.bindPositionRelativeTo(containerUnit);
     
     // === Thumb ===
+    let thumbPlaced = false;
     const thumbUnit = new Unit(context, {
+        parent: trackUnit,
         size: { width: thumbSize, height: thumbSize },
         borderRadius: thumbSize / 2,
         colors: { primary: valueBgColor },
         zOrder: 2,
+        tabIndex: 0,
+        role: "slider",
+        ariaLabel: text,
+        ariaValueKey: storeKey,
+        ariaValueMin: min,
+        ariaValueMax: max,
+        onKeyDown: (event) => {
+            const step = range / 100;
+            let delta = 0;
+            if (event.key === "ArrowLeft" || event.key === "ArrowDown") delta = -step;
+            else if (event.key === "ArrowRight" || event.key === "ArrowUp") delta = step;
+            else return;
+            
+            event.preventDefault();
+            const val = context.store.get(storeKey);
+            context.store.set(storeKey, Math.max(min, Math.min(max, val + delta)));
+        },
         onDrag: ({ current }) => {
-            const relX = current.x - trackUnit.pos.x;
-            const clampedX = Math.max(0, Math.min(relX, width));
-            const progress = clampedX / width;
-            context.store.set(storeKey, min + progress * range);
+            context.store.set(storeKey, min + progressAt(current.x, current.y) * range);
         },
         onDrop: ({ current }) => {
-            const relX = current.x - trackUnit.pos.x;
-            const clampedX = Math.max(0, Math.min(relX, width));
-            const progress = clampedX / width;
-            context.store.set(storeKey, min + progress * range);
+            context.store.set(storeKey, min + progressAt(current.x, current.y) * range);
         },
         onDataChange: {
             [storeKey]: (val) => {
                 const progress = (val - min) / range;
+                const thumbX = progress * width - thumbSize / 2;
                 
-                // Align to track position
-                const trackX = trackUnit.pos.x;
-                const trackY = trackUnit.pos.y;
-                
-                const newX = trackX + progress * width - thumbSize / 2;
-                const newY = trackY + (trackUnit.size.height - thumbSize) / 2;
-                
-                thumbUnit.pos = { x: newX, y: newY };
+                // Track-local, so no need to follow the track around
+                if (thumbSpring && thumbPlaced) {
+                    springTo(thumbUnit, "pos.x", thumbX, thumbSpring);
+                } else {
+                    thumbUnit.pos = { x: thumbX, y: (height - thumbSize) / 2 };
+                    thumbPlaced = true;
+                }
             }
         }
     });
-    thumbUnit.bindPositionRelativeTo(trackUnit);
     
     // === Label ===
     const labelUnit = new Unit(context, {
+        parent: containerUnit,
+        pos: { x: (containerWidth - 100) / 2, y: (containerHeight - 20) / 2 - 20 },
         size: { width: 100, height: 20 },
         colors: { primary: "transparent", text: textColor },
         text: { label: text },
         zOrder: 2
     });
-    labelUnit.bindPositionRelativeTo(containerUnit, "top-center", {y: -20} );   
     
     // === Value Bubble ===
     const valueUnit = createTextBoxUnit(context, {
         name: sliderName + "-text-box",
         color: valueBgColor,
         width: 60,
-        height: height + 12 
+        height: height + 12,
+        label: `${text} value`
     });
-    valueUnit.unit.bindPositionRelativeTo(containerUnit, "right", {x: -15});
+    containerUnit.addChild(valueUnit.unit);
+    valueUnit.unit.pos = { x: containerWidth - 15, y: (containerHeight - (height + 12)) / 2 };
     context.store.onChange(storeKey, (newVal) => {
         valueUnit.unit.text.label = newVal.toFixed(2).toString();
     });
@@ -738,6 +2478,7 @@ function createSliderUnit(context, {
     //set to default average value
     context.store.set(storeKey, (min + max) / 2.0);
     
+    tagWidget(context, unitsBefore, containerUnit, "slider", arguments[1]);
     return {
         containerUnit,
         trackUnit,
@@ -763,26 +2504,57 @@ function createBarChart(context, {
     barHeight = 100,
     barSpacing = 10,
     labelRotation = 0, // degrees
-    showValues = false
+    showValues = false,
+    name = context.randomName("bar-chart")
 }) {
+    const unitsBefore = new Set(context._units);
     const labels = Object.keys(keys);
-    const baseY = pos.y;
     
     const chartWidth = labels.length * (barWidth + barSpacing);
-    const axisLeftX = pos.x - 10;
-    const axisBottomY = pos.y + barHeight;
+    
+    // === CHART CONTAINER, covers the plot area ===
+    // everything below is positioned in its local space: the y axis sits at x = 0,
+    // bars start 10px in and their baseline is the x axis at y = barHeight + 10.
+    // It is also the chart's image in the accessibility mirror, no unit is added only for that
+    const plotLeft = 10;
+    const baseY = 10;
+    const axisBottomY = baseY + barHeight;
+    
+    const chartUnit = new Unit(context, {
+        name,
+        pos: { x: pos.x - plotLeft, y: pos.y - baseY },
+        size: { width: chartWidth, height: barHeight + baseY },
+        enabled: false,
+        zOrder: 0,
+        role: "img",
+        ariaLabel: () => {
+            const values = labels.map(label => {
+                let val;
+                try {
+                    val = context.store.get(keys[label]).toFixed(1);
+                } catch (e) {
+                    val = "no data";
+                }
+                return `${label} ${val}`;
+            });
+            return `${title || "Bar chart"}: ${values.join(", ")}`;
+        }
+    });
+    chartUnit.draw = drawNoneFactory(chartUnit);
     
     // === AXIS LINES ===
     const xAxis = new Unit(context, {
-        pos: { x: axisLeftX, y: axisBottomY },
+        parent: chartUnit,
+        pos: { x: 0, y: axisBottomY },
         size: { width: chartWidth, height: 2 },
         colors: { primary: "black" },
         zOrder: 1
     });
     
     const yAxis = new Unit(context, {
-        pos: { x: axisLeftX, y: pos.y - 10 },
-        size: { width: 2, height: barHeight + 10 },
+        parent: chartUnit,
+        pos: { x: 0, y: 0 },
+        size: { width: 2, height: barHeight + baseY },
         colors: { primary: "black" },
         zOrder: 1
     });
@@ -790,11 +2562,12 @@ function createBarChart(context, {
     // === BARS + LABELS ===
     labels.forEach((label, index) => {
         const key = keys[label];
-        const x = pos.x + index * (barWidth + barSpacing);
+        const x = plotLeft + index * (barWidth + barSpacing);
         
         let observedMax = 1;
         
         const bar = new Unit(context, {
+            parent: chartUnit,
             pos: { x, y: baseY },
             size: { width: barWidth, height: 0 },
             colors: { primary: barColor },
@@ -812,7 +2585,8 @@ function createBarChart(context, {
         });
         
         new Unit(context, {
-            pos: { x: x - 10, y: baseY + barHeight + 5 },
+            parent: chartUnit,
+            pos: { x: x - 10, y: axisBottomY + 5 },
             size: { width: 50, height: 20 },
             colors: { primary: "transparent", text: labelColor },
             text: { label },
@@ -822,6 +2596,7 @@ function createBarChart(context, {
         
         if (showValues) {
             const valueLabel = new Unit(context, {
+                parent: chartUnit,
                 pos: { x: x - 5, y: baseY - 20 },
                 size: { width: 50, height: 20 },
                 colors: { primary: "transparent", text: labelColor },
@@ -840,44 +2615,49 @@ function createBarChart(context, {
     
     // === X AXIS LABEL ===
     if (xAxisLabel) {
-        const xLabel = new Unit(context, {
-            pos: { x: 0, y: 0 },
+        new Unit(context, {
+            parent: chartUnit,
+            pos: { x: (chartWidth - 100) / 2, y: axisBottomY + 2 + 50 },
             size: { width: 100, height: 20 },
             colors: { primary: "transparent", text: titleColor },
             text: { label: xAxisLabel },
             textStyles: { label: labelTextStyle},
             zOrder: 2
         });
-        xLabel.bindPositionRelativeTo("bottom", xAxis, {y: 50});
     }
     
     // === Y AXIS LABEL ===
     if (yAxisLabel) {
-        const yLabel = new Unit(context, {
-            pos: { x: 0, y: 0 },
-            size: { width: 100, height: 20 },
+        // turned a quarter, it stands height wide: centered on that just left of the axis, halfway up it
+        const labelSize = { width: 100, height: 20 };
+        const center = { x: -labelSize.height / 2 - 4, y: (barHeight + baseY) / 2 };
+        new Unit(context, {
+            parent: chartUnit,
+            pos: { x: center.x - labelSize.width / 2, y: center.y - labelSize.height / 2 },
+            size: { ...labelSize },
             colors: { primary: "transparent", text: titleColor },
             text: { label: yAxisLabel },
             textStyles: { label: labelTextStyle},
             zOrder: 2,
             rot: { x: -Math.PI / 2 }
         });
-        
-        yLabel.bindPositionRelativeTo("left", yAxis, {x: 50, y: 50});
     }
     
     // === Chart Title ===
     if (title) {
-        const titleUnit = new Unit(context, {
-            pos: { x: 0, y: 0 },
+        new Unit(context, {
+            parent: chartUnit,
+            pos: { x: (chartWidth - 200) / 2, y: -35 },
             size: { width: 200, height: 25 },
             colors: { primary: "transparent", text: titleColor },
             text: { label: title },
             textStyles: {label: titleTextStyle},
             zOrder: 2
         });
-        titleUnit.bindPositionRelativeTo("top", xAxis, {y: barHeight + 30});
     }
+    
+    tagWidget(context, unitsBefore, chartUnit, "barChart", { ...arguments[1], name });
+    return { chartUnit, xAxis, yAxis };
 }
 
 function createTextBoxUnit(context, {
@@ -887,8 +2667,10 @@ function createTextBoxUnit(context, {
     color = "#A9A9A9",
     focusedColor = "gray",
     placeholder = "",
+    label = placeholder,
     zOrder = 5,
 }) {
+    const unitsBefore = new Set(context._units);
     const storeKey = name + "::text";
     
     context.store.set(storeKey, "");
@@ -901,6 +2683,10 @@ function createTextBoxUnit(context, {
         colors: { primary: color, text: "black" },
         text: { label: placeholder },
         zOrder,
+        tabIndex: 0,
+        role: "textbox",
+        ariaLabel: label,
+        ariaValueKey: storeKey,
         isFocused: false, // <-- now a Unit attribute
         
         onClick: () => {
@@ -925,6 +2711,7 @@ function createTextBoxUnit(context, {
         }
     });
     
+    tagWidget(context, unitsBefore, unit, "textBox", { ...arguments[1], name });
     return { unit, storeKey };
 }
 
@@ -932,48 +2719,121 @@ function createTextBoxUnit(context, {
 //                             ANIMATION UTILITY FUNCTIONS
 //============================================================================================
 
+/**
+* Returned by the animation helpers. `finished` resolves to true when every part ran to the end
+* (or finishNow() was called), and to false when it was cancelled or superseded by a newer
+* animation of the same unit property. The handle is also awaitable itself.
+*
+* Example:
+*   await fadeIn(unit, 300);
+*   const move = moveBy(unit, 100, 0, 1000, easeInOut1);
+*   button.onClick = () => move.cancel();
+*/
+class AnimationHandle {
+    /**
+    * @param {TaskScheduler} scheduler 
+    * @param {AnimationTask[]} tasks 
+    */
+    constructor(scheduler, tasks) {
+        this.scheduler = scheduler;
+        this._tasks = tasks;
+        // animations write tracked unit attributes, which redraw just the units they move
+        tasks.forEach(task => task.marksDirty = false);
+        /** @type {Promise<boolean>} */
+        this.finished = Promise.all(tasks.map(task => new Promise(resolve => {
+            // a retargeted spring is shared with the handles from earlier calls, they all hear the end
+            task.endListeners.push(resolve);
+        }))).then(results => results.every(Boolean));
+    }
+
+    /**
+    * @returns {boolean} whether any part is still scheduled
+    */
+    get running() {
+        return this._tasks.some(task => this.scheduler.tasks.includes(task));
+    }
+
+    /**
+    * Stops where it is, `finished` resolves to false.
+    */
+    cancel() {
+        this._tasks.forEach(task => this.scheduler.removeTask(task, false));
+    }
+
+    /**
+    * Jumps to the end values, `finished` resolves to true.
+    */
+    finishNow() {
+        for (const task of this._tasks) {
+            if (!this.scheduler.tasks.includes(task)) continue;
+            task.fn(task.endVal);
+            this.scheduler.removeTask(task, true);
+        }
+    }
+
+    then(onFulfilled, onRejected) {
+        return this.finished.then(onFulfilled, onRejected);
+    }
+}
+
+/**
+* Scheduler task name for animating one property of a unit. Every helper goes through it, so a new
+* animation of the same property replaces the running one instead of fighting it.
+* @param {Unit} unit 
+* @param {string} path - e.g. "opacity", "pos.x"
+*/
+function unitAnimationName(unit, path) {
+    return unit.getAttributeStoreName("anim::" + path);
+}
+
 /**
 * @param {Unit} unit 
+* @returns {AnimationHandle}
 */
 function fadeOut(unit, duration) {
     /** @type {TaskScheduler} */
     const scheduler = unit.context.scheduler;
-    scheduler.addAnim(
-        unit.context.randomName("fade-out-anim"), 1, 0, linear, duration, (progress) => {
+    const task = scheduler.addAnim(
+        unitAnimationName(unit, "opacity"), 1, 0, linear, duration, (progress) => {
             unit.opacity = progress;
         }
-    )
+    );
+    return new AnimationHandle(scheduler, [task]);
 }
 
 /**
 * @param {Unit} unit 
+* @returns {AnimationHandle}
 */
 function fadeIn(unit, duration) {
     /** @type {TaskScheduler} */
     const scheduler = unit.context.scheduler;
-    scheduler.addAnim(
-        unit.context.randomName("fade-in-anim"), 0, 1, linear, duration, (progress) => {
+    const task = scheduler.addAnim(
+        unitAnimationName(unit, "opacity"), 0, 1, linear, duration, (progress) => {
             unit.opacity = progress;
         }
-    )
+    );
+    return new AnimationHandle(scheduler, [task]);
 }
 
 /**
 * @param {Unit} unit 
+* @returns {AnimationHandle}
 */
 function moveBy(unit, x, y, duration, curve) {
     /** @type {TaskScheduler} */
     const scheduler = unit.context.scheduler;
-    scheduler.addAnim(
-        unit.context.randomName("anim"), unit.pos.x, unit.pos.x + x, curve, duration, (progress) => {
+    const taskX = scheduler.addAnim(
+        unitAnimationName(unit, "pos.x"), unit.pos.x, unit.pos.x + x, curve, duration, (progress) => {
             unit.pos.x = progress;
         }
     );
-    scheduler.addAnim(
-        unit.context.randomName("anim"), unit.pos.y, unit.pos.y + y, curve, duration, (progress) => {
+    const taskY = scheduler.addAnim(
+        unitAnimationName(unit, "pos.y"), unit.pos.y, unit.pos.y + y, curve, duration, (progress) => {
             unit.pos.y = progress;
         }
     );
+    return new AnimationHandle(scheduler, [taskX, taskY]);
 }
 
 /**
@@ -984,6 +2844,7 @@ function moveBy(unit, x, y, duration, curve) {
 * @param {{x?: number, y?: number}} [offset={x:0, y:0}] - offset from the aligned edge
 * @param {number} [duration=500] - animation time in ms
 * @param {(t:number)=>number} [curve=linear] - interpolation curve
+* @returns {AnimationHandle}
 */
 function moveToUnit(direction, movingUnit, targetUnit, offset = {}, duration = 500, curve = linear) {
     const { x: padX = 0, y: padY = 0 } = offset;
@@ -1024,7 +2885,63 @@ function moveToUnit(direction, movingUnit, targetUnit, offset = {}, duration = 5
     const deltaX = finalX - movingUnit.pos.x;
     const deltaY = finalY - movingUnit.pos.y;
     
-    moveBy(movingUnit, deltaX, deltaY, duration, curve);
+    return moveBy(movingUnit, deltaX, deltaY, duration, curve);
+}
+
+/**
+* Animates any attributes of a unit at once: numbers, points/sizes and CSS colors (blended in OKLab).
+* Values are written through unit.update(), so store bindings on them fire every frame. A property
+* value may be [from, to] to set the start explicitly, otherwise it starts from the current value.
+*
+* Example:
+*   await tween(unit, { "size.width": 200, "colors.primary": "#f00", opacity: 0.5 }, { duration: 400, curve: easeInOut1 });
+* @param {Unit} unit 
+* @param {Object<string, *>} props - attribute paths to target values
+* @param {Object} [options]
+* @param {number} [options.duration=500] - animation time in ms, a spring() curve's own duration by default
+* @param {function(number): number} [options.curve=linear] - interpolation curve
+* @returns {AnimationHandle}
+*/
+function tween(unit, props, { curve = linear, duration = curve.duration ?? 500 } = {}) {
+    /** @type {TaskScheduler} */
+    const scheduler = unit.context.scheduler;
+    const tasks = Object.keys(props).map(path => {
+        const target = props[path];
+        const [from, to] = Array.isArray(target) && target.length === 2 && !Array.isArray(getUnitProperty(unit, path))
+            ? target
+            : [getUnitProperty(unit, path), target];
+        const interpolate = createInterpolator(from, to);
+        return scheduler.addAnim(
+            unitAnimationName(unit, path), 0, 1, curve, duration, (progress) => {
+                unit.update(path, interpolate(progress));
+            }
+        );
+    });
+    return new AnimationHandle(scheduler, tasks);
+}
+
+/**
+* Springs a numeric attribute of a unit towards target. Calling it again while the spring is moving
+* retargets it without losing speed, so it is safe to call on every change of something it follows.
+* Values are written through unit.update(), like tween().
+*
+* Example:
+*   context.store.onChange("cursor::x", (x) => springTo(follower, "pos.x", x, { stiffness: 300 }));
+* @param {Unit} unit 
+* @param {string} path - e.g. "pos.x", "opacity"
+* @param {number} target 
+* @param {Object} [physics] - stiffness, damping, mass, velocity, restDelta, restSpeed, see SpringTask
+* @returns {AnimationHandle} finishes when the spring comes to rest, on whatever the target is by then
+*/
+function springTo(unit, path, target, physics = {}) {
+    /** @type {TaskScheduler} */
+    const scheduler = unit.context.scheduler;
+    const task = scheduler.addSpring(
+        unitAnimationName(unit, path), getUnitProperty(unit, path), target, physics, (value) => {
+            unit.update(path, value);
+        }
+    );
+    return new AnimationHandle(scheduler, [task]);
 }
 
 function applyHoverColor(unit, hoverColor) {
@@ -1035,652 +2952,3851 @@ function applyHoverColor(unit, hoverColor) {
     u.onMouseLeave = (event) => u.colors.primary = mainPrimary;
 }
 
+/**
+* Reads a possibly nested attribute of a unit, e.g. "pos.x" or "colors.primary".
+* @param {Unit} unit 
+* @param {string} path 
+*/
+function getUnitProperty(unit, path) {
+    return path.split(".").reduce((obj, key) => obj?.[key], unit);
+}
+
+/**
+* Writes a possibly nested attribute of a unit, e.g. "pos.x" or "colors.primary".
+* @param {Unit} unit 
+* @param {string} path 
+* @param {*} value 
+*/
+function setUnitProperty(unit, path, value) {
+    const parts = path.split(".");
+    const last = parts.pop();
+    const target = parts.reduce((obj, key) => obj[key], unit);
+    target[last] = value;
+}
+
 //============================================================================================
-//                             INTERPOLATION FUNCTIONS
+//                             TIMELINE
 //============================================================================================
 
-//linear
-const linear = (x) => x; 
+/**
+* Choreographs unit animations ahead of time: steps are placed on a time axis (sequentially,
+* in parallel groups, staggered, or at labels) and the whole thing is played back by a single
+* AnimationTask on its own scheduler channel, so it can be paused, reversed, seeked and looped.
+*
+* Example:
+*   const tl = new Timeline(context, { loop: 2 });
+*   tl.to(title, { opacity: 1 }, { duration: 300 })
+*     .label("bars")
+*     .stagger(bars, { "size.height": 80 }, { duration: 400, each: 100 })
+*     .parallel(tl => {
+*         tl.to(title, { "pos.y": 20 });
+*         tl.to(chart, { "pos.y": 60 });
+*     })
+*     .play();
+*/
+class Timeline {
+    /**
+    * @param {Context} context 
+    * @param {Object} [options]
+    * @param {number | boolean} [options.loop=false] - extra plays after the first, true = forever
+    * @param {function(Timeline): void} [options.onComplete] - called when playback reaches either end for good
+    */
+    constructor(context, { loop = false, onComplete = null } = {}) {
+        this.context = context;
+        this.name = context.randomName("timeline");
+        /** scheduler channel of this timeline's playback task */
+        this.channel = this.name;
+        this.loop = loop;
+        this.onComplete = onComplete;
 
-//sinusoidal function
-const easeInOut1 = (x) => ((Math.sin(Math.PI * x - (Math.PI / 2)) / 2) + 0.5); 
+        /** @type {Map<string, {unit: Unit, path: string, from: *, to: *, start: number, duration: number, curve: function(number): number, interpolate: function(number): *}[]>} steps grouped by unit + property */
+        this._tracks = new Map();
+        /** @type {Map<Unit, Object<string, number>>} value each property will have at the end of the steps added so far */
+        this._projected = new Map();
+        /** @type {{at: number, fn: function(Timeline): void}[]} */
+        this._cues = [];
+        /** @type {Object<string, number>} */
+        this.labels = {};
 
-//faster, sigmoid function
-const easeInOut2 = (x) => (1 / (1 + Math.pow(Math.E, (-10 * (x - 0.5))))); 
+        // placement frames, the bottom one is the timeline itself (a sequence)
+        this._frames = [{ type: "sequence", start: 0, cursor: 0, end: 0 }];
 
-//============================================================================================
-//                             HIT TESTING FUNCTIONS
-//============================================================================================
+        /** current playhead in ms */
+        this.time = 0;
+        this.duration = 0;
+        this.direction = 1;
+        this.playing = false;
+        this._taskName = null;
+        this._runCount = 0;
+        this._loopsDone = 0;
+        // where callbacks were last checked from, kept apart from time so cues at 0 still fire
+        this._cueTime = -Infinity;
+    }
 
-function hitTestDefaultFactory(unit) {
-    return (x, y) => {
-        const { x: cx, y: cy } = unit.getCenterPos();
-        
-        // Step 1: move to local coords
-        let lx = x - cx;
-        let ly = y - cy;
-        
-        // Step 2: inverse rotation
-        const sin = Math.sin(-unit.rot.x);
-        const cos = Math.cos(-unit.rot.x);
-        let rx = lx * cos - ly * sin;
-        let ry = lx * sin + ly * cos;
-        
-        // Step 3: inverse scale
-        rx /= unit.scale.x;
-        ry /= unit.scale.y;
-        
-        // Step 4: shift into local bounding box space
-        const finalX = rx + unit.size.width / 2;
-        const finalY = ry + unit.size.height / 2;
-        
-        return (
-            finalX >= 0 &&
-            finalY >= 0 &&
-            finalX <= unit.size.width &&
-            finalY <= unit.size.height
-        );
-    };
-}
+    //========================== building ==========================
 
-function hitTestLineFactory(unit) {
-    return (px, py) => {
-        function distToSegmentSquared(px, py, x1, y1, x2, y2) {
-            const l2 = (x2 - x1) ** 2 + (y2 - y1) ** 2;
-            if (l2 === 0) return (px - x1) ** 2 + (py - y1) ** 2;
-            let t = ((px - x1) * (x2 - x1) + (py - y1) * (y2 - y1)) / l2;
-            t = Math.max(0, Math.min(1, t));
-            const projX = x1 + t * (x2 - x1);
-            const projY = y1 + t * (y2 - y1);
-            return (px - projX) ** 2 + (py - projY) ** 2;
-        }
-        
-        const tolerance = 6; // pixels
-        const { startPos, endPos, fn, segments } = unit;
-        
-        const dx = endPos.x - startPos.x;
-        const dy = endPos.y - startPos.y;
-        
-        let last = null;
-        
-        for (let i = 0; i <= segments; i++) {
-            const t = i / segments;
-            const x = startPos.x + dx * t;
-            const y = startPos.y + dy * t + fn(t);
-            
-            if (last) {
-                const distSq = distToSegmentSquared(px, py, last.x, last.y, x, y);
-                if (distSq < tolerance * tolerance) return true;
-            }
-            last = { x, y };
+    _resolveAt(at) {
+        if (at === undefined || at === null) return null;
+        if (typeof at === "number") return at;
+        if (!(at in this.labels)) throw Error("Unknown timeline label: " + at);
+        return this.labels[at];
+    }
+
+    //where the next step of the innermost group starts, unless told otherwise
+    _nextStart() {
+        const frame = this._frames[this._frames.length - 1];
+        return frame.type === "sequence" ? frame.cursor : frame.start;
+    }
+
+    _place(duration, at) {
+        const frame = this._frames[this._frames.length - 1];
+        const start = this._resolveAt(at) ?? this._nextStart();
+        const end = start + duration;
+        if (frame.type === "sequence") frame.cursor = Math.max(frame.cursor, end);
+        frame.end = Math.max(frame.end, end);
+        this.duration = Math.max(this.duration, end);
+        return start;
+    }
+
+    _group(type, build) {
+        const start = this._nextStart();
+        this._frames.push({ type, start, cursor: start, end: start });
+        build(this);
+        const frame = this._frames.pop();
+        this._place(frame.end - start, start);
+        return this;
+    }
+
+    /**
+    * Animates properties of a unit, anything tween() can. A property value may be [from, to] to set the start explicitly,
+    * otherwise it starts where the previous step on that property left it (or its current value).
+    * @param {Unit} unit 
+    * @param {Object<string, *>} props - e.g. { "pos.x": 200, opacity: [0, 1], "colors.primary": "#f00" }
+    * @param {Object} [options]
+    * @param {number} [options.duration=500] - a spring() curve's own duration by default
+    * @param {function(number): number} [options.curve=linear]
+    * @param {number | string} [options.at] - absolute ms or a label name, instead of the group's next slot
+    */
+    to(unit, props, { curve = linear, duration = curve.duration ?? 500, at } = {}) {
+        const start = this._place(duration, at);
+        const projected = this._projected.get(unit) || {};
+        this._projected.set(unit, projected);
+
+        for (const path in props) {
+            const target = props[path];
+            const [from, to] = Array.isArray(target)
+                ? target
+                : [projected[path] ?? getUnitProperty(unit, path), target];
+            projected[path] = to;
+
+            const key = unit.name + "::" + path;
+            const tracks = this._tracks.get(key) || [];
+            tracks.push({ unit, path, from, to, start, duration, curve, interpolate: createInterpolator(from, to) });
+            tracks.sort((a, b) => a.start - b.start);
+            this._tracks.set(key, tracks);
         }
-        
-        return false;
+        return this;
     }
-}
 
-//============================================================================================
-//                              REAL MEASURED SIZE FUNCTIONS 
-//============================================================================================
+    /**
+    * Steps added inside build run one after another.
+    * @param {function(Timeline): void} build 
+    */
+    sequence(build) {
+        return this._group("sequence", build);
+    }
 
-/**
-* Returns a function that computes the transformed bounding box
-* (including position, rotation, and scale) of a unit.
-* 
-* @param {Unit} unit 
-* @returns {() => { x: number, y: number, width: number, height: number }}
-*/
-function measuredBoundsDefaultFactory(unit) {
-    return () => { 
-        const { width, height } = unit.size;
-        const scaleX = unit.scale?.x ?? 1;
-        const scaleY = unit.scale?.y ?? 1;
-        const angle = unit.rot?.x ?? 0;
-        
-        // Center of rotation
-        const cx = unit.pos.x + width / 2;
-        const cy = unit.pos.y + height / 2;
-        
-        // Define the 4 corners relative to center
-        const halfW = (width * scaleX) / 2;
-        const halfH = (height * scaleY) / 2;
-        
-        const corners = [
-            { x: -halfW, y: -halfH }, // top-left
-            { x: halfW, y: -halfH },  // top-right
-            { x: halfW, y: halfH },   // bottom-right
-            { x: -halfW, y: halfH }   // bottom-left
-        ];
-        
-        // Rotate each corner and translate to absolute position
-        const rotated = corners.map(({ x, y }) => {
-            const rx = x * Math.cos(angle) - y * Math.sin(angle);
-            const ry = x * Math.sin(angle) + y * Math.cos(angle);
-            return { x: cx + rx, y: cy + ry };
-        });
-        
-        // Find bounding box
-        const xs = rotated.map(p => p.x);
-        const ys = rotated.map(p => p.y);
-        const minX = Math.min(...xs);
-        const maxX = Math.max(...xs);
-        const minY = Math.min(...ys);
-        const maxY = Math.max(...ys);
-        
-        return {
-            x: minX,
-            y: minY,
-            width: maxX - minX,
-            height: maxY - minY
-        };
-    };
-}
+    /**
+    * Steps added inside build all start together, the group lasts as long as the longest one.
+    * @param {function(Timeline): void} build 
+    */
+    parallel(build) {
+        return this._group("parallel", build);
+    }
 
+    /**
+    * Runs the same step on several units, each starting `each` ms after the previous.
+    * @param {Unit[]} units 
+    * @param {Object<string, *>} props 
+    * @param {Object} [options]
+    * @param {number} [options.each=100]
+    */
+    stagger(units, props, { curve = linear, duration = curve.duration ?? 500, each = 100 } = {}) {
+        return this.parallel(() => {
+            const start = this._nextStart();
+            units.forEach((unit, i) => this.to(unit, props, { duration, curve, at: start + i * each }));
+        });
+    }
 
-//if in browser
-class ScheduledTask {
-    static INFINITE = -1; 
+    /**
+    * Several properties through a list of keyframes, e.g.
+    *   tl.keyframes(unit, [{ offset: 0, opacity: 0 }, { offset: 0.3, opacity: 1, "pos.x": 50 }, { offset: 1, "pos.x": 300 }], { duration: 1000 })
+    * @param {Unit} unit 
+    * @param {Object[]} frames - each with an offset in [0, 1] and the property values at that point
+    */
+    keyframes(unit, frames, { duration = 500, curve = linear } = {}) {
+        const sorted = [...frames].sort((a, b) => a.offset - b.offset);
+        return this.parallel(() => {
+            const start = this._nextStart();
+            // every property runs from the last keyframe that mentioned it to the next one
+            const last = {};
+            for (const frame of sorted) {
+                for (const path in frame) {
+                    if (path === "offset") continue;
+                    const prev = last[path];
+                    if (prev) {
+                        this.to(unit, { [path]: [prev.value, frame[path]] }, {
+                            duration: (frame.offset - prev.offset) * duration,
+                            curve,
+                            at: start + prev.offset * duration
+                        });
+                    }
+                    last[path] = { offset: frame.offset, value: frame[path] };
+                }
+            }
+        });
+    }
 
     /**
-    * @param {string} name - Unique name to identify the task.
-    * @param {number} delay - Delay between executions in ms.
-    * @param {number} repeat - Number of times to repeat. -1 = infinite.
-    * @param {Function} fn - The function to execute.
-    * @param {string[]} [channels] - The list of channels this task belongs to.
+    * Calls fn when playback crosses this point, in either direction.
+    * @param {function(Timeline): void} fn 
     */
-    constructor(name, delay, repeat, fn, channels = ['global']) {
-        this.name = name;
-        this.delay = delay;
-        this.repeat = repeat;
-        this.fn = fn;
-        this.remaining = repeat;
-        this.lastRun = performance.now();
-        this.channels = channels;
+    call(fn, { at } = {}) {
+        this._cues.push({ at: this._place(0, at), fn });
+        return this;
+    }
 
-        this.lastRun = performance.now();
-        this.pausedAt = null;
-        this.totalPausedTime = 0;
+    /**
+    * @param {number} duration - ms of nothing
+    */
+    wait(duration) {
+        this._place(duration);
+        return this;
     }
 
-    shouldRun(now) {
-        return now - this.lastRun >= this.delay;
+    /**
+    * Names the next slot, usable as `at` for later steps and with seek().
+    * @param {string} name 
+    */
+    label(name) {
+        this.labels[name] = this._nextStart();
+        return this;
     }
 
-    run(now) {
-        this.fn();
-        this.lastRun = now;
-        if (this.repeat !== ScheduledTask.INFINITE) {
-            this.remaining--;
+    //========================== playback ==========================
+
+    _render(time) {
+        this.time = time;
+        for (const tracks of this._tracks.values()) {
+            // the latest step on this property that has started decides its value
+            let active = tracks[0];
+            for (const track of tracks) {
+                if (track.start <= time) active = track;
+            }
+            const raw = active.duration > 0 ? (time - active.start) / active.duration : 1;
+            const progress = active.curve(Math.min(1, Math.max(0, raw)));
+            active.unit.update(active.path, active.interpolate(progress));
+        }
+
+        const previous = this._cueTime;
+        this._cueTime = time;
+        for (const cue of this._cues) {
+            if ((previous < cue.at && cue.at <= time) || (time <= cue.at && cue.at < previous)) {
+                cue.fn(this);
+            }
         }
-        return this.remaining !== 0;
     }
 
-    notifyPaused(now) {
-        this.pausedAt = now;
+    _stopTask() {
+        if (this._taskName) this.context.scheduler.remove(this._taskName);
+        this._taskName = null;
     }
 
-    notifyResumed(now) {
-        if (this.pausedAt !== null) {
-            this.lastRun += now - this.pausedAt; // Shift forward by paused duration
-            this.pausedAt = null;
+    //plays from the current time towards the end in the current direction
+    _run() {
+        this._stopTask();
+        const target = this.direction > 0 ? this.duration : 0;
+        const from = this.time;
+        if (from === target) {
+            this._render(target);
+            this._finished();
+            return;
+        }
+
+        // unique per run: a loop restarts from inside the finishing task, which the scheduler then removes by name
+        this._taskName = `${this.name}::${++this._runCount}`;
+        // animate progress rather than time, so the last frame lands exactly on the target
+        this.context.scheduler.addAnim(this._taskName, 0, 1, linear, Math.abs(target - from), (progress) => {
+            this._render(progress === 1 ? target : from + (target - from) * progress);
+            if (progress === 1) this._finished();
+        }, ['global', 'animation', this.channel]);
+    }
+
+    _finished() {
+        this._taskName = null;
+        const loopsLeft = this.loop === true || this._loopsDone < (this.loop || 0);
+        if (this.playing && loopsLeft) {
+            this._loopsDone++;
+            this.time = this.direction > 0 ? 0 : this.duration;
+            this._cueTime = this.direction > 0 ? -Infinity : Infinity;
+            this._run();
+            return;
         }
+        this.playing = false;
+        this.onComplete?.(this);
     }
-}
 
-class AnimationTask extends ScheduledTask {
     /**
-    * @param {string} name - Unique task name.
-    * @param {number} startVal - The start value of the animation.
-    * @param {number} endVal - The end value of the animation.
-    * @param {function(number): number} curve - A function mapping [0, 1] to curved [0, 1].
-    * @param {number} duration - Duration in milliseconds.
-    * @param {function(number): void} fn - A function that receives the interpolated value.
-    * @param {string[]} [channels] - The list of channels this task belongs to.
+    * Starts or resumes playback in the current direction. Playing again after the end starts over.
     */
-    constructor(name, startVal, endVal, curve, duration, fn, channels = ['global']) {
-        const startTime = performance.now();
-        super(name, 0, ScheduledTask.INFINITE, () => {}, channels);
+    play() {
+        if (this._isPaused()) {
+            this.context.scheduler.resume(this.channel);
+            return this;
+        }
+        if (this.playing) return this;
 
-        this.startVal = startVal;
-        this.endVal = endVal;
-        this.curve = curve || (t => t);
-        this.duration = duration;
-        this.fn = fn;
+        const atEnd = this.direction > 0 ? this.time >= this.duration : this.time <= 0;
+        if (atEnd) {
+            this.time = this.direction > 0 ? 0 : this.duration;
+            this._loopsDone = 0;
+        }
+        if (this.time === 0 && this.direction > 0) this._cueTime = -Infinity;
+        if (this.time === this.duration && this.direction < 0) this._cueTime = Infinity;
 
-        this.animStart = startTime;
-        this.pausedAt = null;
-        this.totalPausedTime = 0;
+        this.playing = true;
+        this._run();
+        return this;
     }
 
-    run(now) {
-        const elapsed = now - this.animStart - this.totalPausedTime;
-        const rawProgress = Math.min(1, Math.max(0, elapsed / this.duration));
-        const curvedProgress = this.curve(rawProgress);
-        const value = this.startVal + (this.endVal - this.startVal) * curvedProgress;
-
-        this.fn(value);
-        this.lastRun = now;
-        return elapsed < this.duration;
+    /**
+    * Freezes playback through the scheduler's channel pause, play() continues from the same frame.
+    */
+    pause() {
+        if (this.playing) this.context.scheduler.pause(this.channel);
+        return this;
     }
 
-    notifyPaused(now) {
-        this.pausedAt = now;
+    _isPaused() {
+        return this.context.scheduler.pausedChannels.has(this.channel);
     }
 
-    notifyResumed(now) {
-        if (this.pausedAt !== null) {
-            this.totalPausedTime += now - this.pausedAt;
-            this.pausedAt = null;
-        }
+    //drops a paused playback task, a task created while its channel is paused would jump ahead on resume
+    _dropPausedTask() {
+        this._stopTask();
+        this.context.scheduler.pausedChannels.delete(this.channel);
+        this.playing = false;
     }
-}
-
-class TaskScheduler {
-    constructor() {
-        /** @type {ScheduledTask[]} */
-        this.tasks = [];
-        self.AnimateOneEnvironment.stopSketchEnvironment(__ExternallyDefinedSketchId__);
-        this.now = 0;
 
-        /** @type {Set<string>} */
-        this.pausedChannels = new Set();
+    /**
+    * Flips the playback direction. While playing it turns around on the spot, while paused it stays paused.
+    */
+    reverse() {
+        this.direction = -this.direction;
+        if (this._isPaused()) this._dropPausedTask();
+        else if (this.playing) this._run();
+        return this;
     }
 
-    add(name, delay, repeat, fn, channels = ['global']) {
-        this.remove(name);
-        this.tasks.push(new ScheduledTask(name, delay, repeat, fn, channels));
+    /**
+    * Jumps to a time or label and applies every property at that point. Callbacks in between are skipped.
+    * @param {number | string} timeOrLabel 
+    */
+    seek(timeOrLabel) {
+        const time = Math.min(this.duration, Math.max(0, this._resolveAt(timeOrLabel)));
+        this._cueTime = time;
+        this._render(time);
+        if (this._isPaused()) this._dropPausedTask();
+        else if (this.playing) this._run();
+        return this;
     }
 
-    addAnim(name, startVal, endVal, curve, duration, fn, channels = ['global', 'animation']) {
-        this.remove(name);
-        this.tasks.push(new AnimationTask(name, startVal, endVal, curve, duration, fn, channels));
+    /**
+    * Stops playback where it is and frees the channel.
+    */
+    kill() {
+        this._dropPausedTask();
+        return this;
     }
+}
 
-    remove(name) {
-        this.tasks = this.tasks.filter(task => task.name !== name);
-    }
+//============================================================================================
+//                             INTERPOLATION FUNCTIONS
+//============================================================================================
 
-    start() {
-        if (self.AnimateOneEnvironment.sketchEnvironmentIsRunning(__ExternallyDefinedSketchId__)) return;
-        self.AnimateOneEnvironment.startSketchEnvironment(__ExternallyDefinedSketchId__);
-        self.AnimateOneEnvironment.startSketchEnvironmentPosting(__ExternallyDefinedSketchId__);
-
-        const loop = (now) => {
-            if (!self.AnimateOneEnvironment.sketchEnvironmentIsRunning(__ExternallyDefinedSketchId__)){
-                self.AnimateOneEnvironment.stopSketchEnvironmentPosting(__ExternallyDefinedSketchId__)
-                console.log(`${__ExternallyDefinedSketchId__} exited from main loop. Environment terminated.`);
-                return;
-            }
+//linear
+const linear = (x) => x; 
 
-            this.now = now;
-            const currentTasks = [...this.tasks];
-            
-            // console.log("frame");
+//sinusoidal function
+const easeInOut1 = (x) => ((Math.sin(Math.PI * x - (Math.PI / 2)) / 2) + 0.5); 
 
-            for (let task of currentTasks) {
-                // Skip if any of the task's channels are paused
-                if (task.channels.some(ch => this.pausedChannels.has(ch))) {
-                    continue;
-                }
+//faster, sigmoid function
+const easeInOut2 = (x) => (1 / (1 + Math.pow(Math.E, (-10 * (x - 0.5))))); 
 
-                if (task.shouldRun(now)) {
-                    const stillActive = task.run(now);
-                    if (!stillActive) {
-                        this.remove(task.name);
-                    }
-                }
-            }
+// Penner easings. Every curve maps [0, 1] to [0, 1] (back, elastic and springs overshoot on the way)
+// and can be passed wherever a curve is taken, e.g. addAnim(), tween(), Timeline steps.
 
-            if (self.AnimateOneEnvironment.sketchEnvironmentIsRunning(__ExternallyDefinedSketchId__)) {
-                requestAnimationFrame(loop);
-            } else {
-                self.AnimateOneEnvironment.stopSketchEnvironmentPosting(__ExternallyDefinedSketchId__)
-                console.log(`${__ExternallyDefinedSketchId__} exited from main loop. Environment terminated.`);
-            }
-        };
+/**
+* Mirrors an ease-in curve into the matching ease-out one.
+* @param {function(number): number} easeIn 
+*/
+function easeOutOf(easeIn) {
+    return (x) => 1 - easeIn(1 - x);
+}
 
-        requestAnimationFrame(loop);
-    }
+/**
+* Runs an ease-in curve for the first half and its ease-out mirror for the second.
+* @param {function(number): number} easeIn 
+*/
+function easeInOutOf(easeIn) {
+    return (x) => x < 0.5 ? easeIn(2 * x) / 2 : 1 - easeIn(2 - 2 * x) / 2;
+}
 
-    pause(channel = 'global') {
-        this.pausedChannels.add(channel);
-        for (let task of this.tasks) {
-            if (task.channels.includes(channel) && typeof task.notifyPaused === 'function') {
-                task.notifyPaused(this.now);
-            }
+const easeInQuad = (x) => x * x;
+const easeOutQuad = easeOutOf(easeInQuad);
+const easeInOutQuad = easeInOutOf(easeInQuad);
+
+const easeInCubic = (x) => x * x * x;
+const easeOutCubic = easeOutOf(easeInCubic);
+const easeInOutCubic = easeInOutOf(easeInCubic);
+
+const easeInQuart = (x) => x * x * x * x;
+const easeOutQuart = easeOutOf(easeInQuart);
+const easeInOutQuart = easeInOutOf(easeInQuart);
+
+const easeInQuint = (x) => x * x * x * x * x;
+const easeOutQuint = easeOutOf(easeInQuint);
+const easeInOutQuint = easeInOutOf(easeInQuint);
+
+const easeInSine = (x) => 1 - Math.cos(x * Math.PI / 2);
+const easeOutSine = easeOutOf(easeInSine);
+const easeInOutSine = easeInOutOf(easeInSine);
+
+const easeInExpo = (x) => x === 0 ? 0 : Math.pow(2, 10 * x - 10);
+const easeOutExpo = easeOutOf(easeInExpo);
+const easeInOutExpo = easeInOutOf(easeInExpo);
+
+const easeInCirc = (x) => 1 - Math.sqrt(1 - x * x);
+const easeOutCirc = easeOutOf(easeInCirc);
+const easeInOutCirc = easeInOutOf(easeInCirc);
+
+//pulls back a little before going, 1.70158 is the usual ~10% overshoot
+const easeInBack = (x) => 2.70158 * x * x * x - 1.70158 * x * x;
+const easeOutBack = easeOutOf(easeInBack);
+//stronger pull back, so each half overshoots about as much as easeInBack does
+const easeInOutBack = easeInOutOf((x) => 3.5949095 * x * x * x - 2.5949095 * x * x);
+
+const easeInElastic = (x) => (x === 0 || x === 1) ? x : -Math.pow(2, 10 * x - 10) * Math.sin((x * 10 - 10.75) * (2 * Math.PI) / 3);
+const easeOutElastic = easeOutOf(easeInElastic);
+const easeInOutElastic = easeInOutOf((x) => (x === 0 || x === 1) ? x : -Math.pow(2, 10 * x - 10) * Math.sin((x * 10 - 11.125) * (2 * Math.PI) / 4.5));
+
+const easeOutBounce = (x) => {
+    const n = 7.5625, d = 2.75;
+    if (x < 1 / d) return n * x * x;
+    if (x < 2 / d) return n * (x -= 1.5 / d) * x + 0.75;
+    if (x < 2.5 / d) return n * (x -= 2.25 / d) * x + 0.9375;
+    return n * (x -= 2.625 / d) * x + 0.984375;
+};
+const easeInBounce = easeOutOf(easeOutBounce);
+const easeInOutBounce = easeInOutOf(easeInBounce);
+
+/**
+* Same curve as CSS `cubic-bezier(x1, y1, x2, y2)`.
+*
+* Example:
+*   const ease = cubicBezier(0.25, 0.1, 0.25, 1); // CSS "ease"
+* @param {number} x1 - in [0, 1]
+* @param {number} y1 
+* @param {number} x2 - in [0, 1]
+* @param {number} y2 
+* @returns {function(number): number}
+*/
+function cubicBezier(x1, y1, x2, y2) {
+    if (x1 < 0 || x1 > 1 || x2 < 0 || x2 > 1) throw Error("cubicBezier x values must be in [0, 1]");
+
+    // polynomial coefficients of the curve with P0 = (0, 0) and P3 = (1, 1)
+    const cx = 3 * x1, bx = 3 * (x2 - x1) - cx, ax = 1 - cx - bx;
+    const cy = 3 * y1, by = 3 * (y2 - y1) - cy, ay = 1 - cy - by;
+    const sampleX = (t) => ((ax * t + bx) * t + cx) * t;
+    const sampleY = (t) => ((ay * t + by) * t + cy) * t;
+    const slopeX = (t) => (3 * ax * t + 2 * bx) * t + cx;
+
+    //the bezier parameter whose x is the given progress
+    const solve = (x) => {
+        let t = x;
+        for (let i = 0; i < 8; i++) {
+            const error = sampleX(t) - x;
+            if (Math.abs(error) < 1e-7) return t;
+            const slope = slopeX(t);
+            if (Math.abs(slope) < 1e-6) break;
+            t -= error / slope;
         }
+        // newton didn't settle, bisect instead
+        let lo = 0, hi = 1;
+        t = x;
+        while (hi - lo > 1e-7) {
+            if (sampleX(t) < x) lo = t; else hi = t;
+            t = (lo + hi) / 2;
+        }
+        return t;
+    };
+
+    return (x) => (x <= 0 || x >= 1) ? x : sampleY(solve(x));
+}
+
+/**
+* Same curve as CSS `steps(n, position)`: jumps between n flat levels.
+* @param {number} n - number of steps
+* @param {'end' | 'start' | 'both' | 'none'} [position='end'] - where the jumps happen, as CSS jump-end/jump-start/...
+* @returns {function(number): number}
+*/
+function steps(n, position = "end") {
+    const jumps = { start: n, end: n, both: n + 1, none: n - 1 }[position];
+    if (!(jumps > 0)) throw Error("Invalid steps: " + n + ", " + position);
+    const offset = (position === "start" || position === "both") ? 1 : 0;
+    return (x) => {
+        if (x >= 1) return 1;
+        return Math.min(1, Math.max(0, (Math.floor(x * n) + offset) / jumps));
+    };
+}
+
+/**
+* A curve that follows a damped spring from 0 to 1. How long that takes comes from the physics, so the
+* returned curve carries it as `curve.duration` (ms), used whenever an animation is given no duration.
+*
+* Example:
+*   tween(unit, { "pos.x": 300 }, { curve: spring({ stiffness: 180, damping: 12 }) });
+* @param {Object} [options]
+* @param {number} [options.stiffness=100] 
+* @param {number} [options.damping=10] 
+* @param {number} [options.mass=1] 
+* @param {number} [options.velocity=0] - starting velocity, in distances per second
+* @returns {function(number): number} with a `duration` property
+*/
+function spring({ stiffness = 100, damping = 10, mass = 1, velocity = 0 } = {}) {
+    const w0 = Math.sqrt(stiffness / mass);
+    const zeta = damping / (2 * Math.sqrt(stiffness * mass));
+
+    // position at t seconds, the closed form solution for each damping regime
+    let position;
+    if (zeta < 1) {
+        const wd = w0 * Math.sqrt(1 - zeta * zeta);
+        position = (t) => 1 - Math.exp(-zeta * w0 * t) * (Math.cos(wd * t) + (zeta * w0 - velocity) / wd * Math.sin(wd * t));
+    } else if (zeta === 1) {
+        position = (t) => 1 - Math.exp(-w0 * t) * (1 + (w0 - velocity) * t);
+    } else {
+        const r1 = -w0 * (zeta - Math.sqrt(zeta * zeta - 1));
+        const r2 = -w0 * (zeta + Math.sqrt(zeta * zeta - 1));
+        const c2 = (velocity + r1) / (r2 - r1);
+        const c1 = -1 - c2;
+        position = (t) => 1 + c1 * Math.exp(r1 * t) + c2 * Math.exp(r2 * t);
     }
 
-    resume(channel = 'global') {
-        this.pausedChannels.delete(channel);
-        for (let task of this.tasks) {
-            if (task.channels.includes(channel) && typeof task.notifyResumed === 'function') {
-                task.notifyResumed(this.now);
-            }
-        }
-        if (!self.AnimateOneEnvironment.sketchEnvironmentIsRunning(__ExternallyDefinedSketchId__)) this.start();
+    // settled = the last moment it is still visibly away from the target, checked in 1ms steps up to 10s
+    const settleDistance = 0.001;
+    let settle = 0;
+    for (let ms = 0; ms <= 10000; ms++) {
+        if (Math.abs(position(ms / 1000) - 1) > settleDistance) settle = ms;
     }
+    const duration = settle + 1;
 
-    stop(channel = null) {
-        if (channel === null) {
-            self.AnimateOneEnvironment.stopSketchEnvironment(__ExternallyDefinedSketchId__);
-            this.pausedChannels.clear();
-            this.tasks = [];
+    const curve = (x) => x >= 1 ? 1 : position(x * duration / 1000);
+    curve.duration = duration;
+    return curve;
+}
+
+//============================================================================================
+//                             VALUE INTERPOLATION
+//============================================================================================
+
+let colorParsingContext = null;
+
+// color names understood without a DOM (headless): the CSS basic colors and a few common extras
+const BASIC_COLOR_NAMES = {
+    black: "#000000", white: "#ffffff", red: "#ff0000", lime: "#00ff00", green: "#008000", blue: "#0000ff",
+    yellow: "#ffff00", cyan: "#00ffff", aqua: "#00ffff", magenta: "#ff00ff", fuchsia: "#ff00ff",
+    gray: "#808080", grey: "#808080", silver: "#c0c0c0", maroon: "#800000", olive: "#808000",
+    navy: "#000080", purple: "#800080", teal: "#008080", orange: "#ffa500", pink: "#ffc0cb", brown: "#a52a2a"
+};
+
+/**
+* Parses a CSS color into 0-255 channels and 0-1 alpha. Hex and rgb() are read directly,
+* anything else (names, hsl(), ...) is normalized by a canvas first, or looked up in BASIC_COLOR_NAMES without a DOM.
+* @param {string} color 
+* @returns {{r: number, g: number, b: number, a: number} | null} null when it isn't a color
+*/
+function parseColor(color) {
+    if (typeof color !== "string") return null;
+    let css = color.trim().toLowerCase();
+    if (css === "transparent") return { r: 0, g: 0, b: 0, a: 0 };
+
+    if (!css.startsWith("#") && !css.startsWith("rgb")) {
+        if (typeof document === "undefined") {
+            if (!(css in BASIC_COLOR_NAMES)) return null;
+            css = BASIC_COLOR_NAMES[css];
         } else {
-            this.tasks = this.tasks.filter(t => !t.channels.includes(channel));
-            this.pausedChannels.delete(channel);
+            colorParsingContext ??= document.createElement("canvas").getContext("2d");
+            // an invalid color leaves fillStyle untouched, so start from something no input normalizes to
+            colorParsingContext.fillStyle = "#010203";
+            colorParsingContext.fillStyle = css;
+            if (colorParsingContext.fillStyle === "#010203") return null;
+            css = colorParsingContext.fillStyle;
         }
     }
+
+    if (css.startsWith("#")) {
+        let hex = css.slice(1);
+        if (hex.length === 3 || hex.length === 4) hex = hex.replace(/./g, ch => ch + ch);
+        if (!/^[0-9a-f]{6}([0-9a-f]{2})?$/.test(hex)) return null;
+        const channel = (i) => parseInt(hex.slice(i, i + 2), 16);
+        return { r: channel(0), g: channel(2), b: channel(4), a: hex.length === 8 ? channel(6) / 255 : 1 };
+    }
+
+    const match = css.match(/^rgba?\(([^)]*)\)$/);
+    if (!match) return null;
+    const parts = match[1].split(/[\s,\/]+/).filter(Boolean);
+    if (parts.length < 3) return null;
+    const number = (part, max) => part.endsWith("%") ? parseFloat(part) / 100 * max : parseFloat(part);
+    const [r, g, b] = parts.slice(0, 3).map(part => number(part, 255));
+    const a = parts.length > 3 ? number(parts[3], 1) : 1;
+    if ([r, g, b, a].some(isNaN)) return null;
+    return { r, g, b, a };
 }
 
+/**
+* sRGB color to OKLab, a space where equal steps look like equal changes.
+* @param {{r: number, g: number, b: number, a: number}} color 
+*/
+function rgbToOklab({ r, g, b, a }) {
+    const toLinear = (c) => {
+        c /= 255;
+        return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    };
+    const lr = toLinear(r), lg = toLinear(g), lb = toLinear(b);
+
+    const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+    const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+    const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+
+    return {
+        L: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        A: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        B: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s,
+        alpha: a
+    };
+}
 
 /**
-* @param {Context} context - AnimateOne context, contains everything
+* OKLab back to an sRGB color, clamped into the displayable range.
 */
-function registerDrawLoop(context) {
-    /**@type {TaskScheduler} */
-    const scheduler = context.scheduler;
-    scheduler.add(
-        "render",
-        0,
-        ScheduledTask.INFINITE,
-        () => {
-            context.zSortUnits()
-            let ctx = context.getCanvasContext();
-            ctx.fillStyle = context.canvasBgColor;
-            ctx.fillRect(0, 0, context.canvas.width, context.canvas.height);
-            context._units.forEach((unit) => { 
-                unit.draw(context);
-            })
-        },
-        ['render']
-    )
-} 
+function oklabToRgb({ L, A, B, alpha }) {
+    const l = Math.pow(L + 0.3963377774 * A + 0.2158037573 * B, 3);
+    const m = Math.pow(L - 0.1055613458 * A - 0.0638541728 * B, 3);
+    const s = Math.pow(L - 0.0894841775 * A - 1.2914855480 * B, 3);
 
+    const fromLinear = (c) => {
+        c = c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+        return Math.round(Math.min(1, Math.max(0, c)) * 255);
+    };
+    return {
+        r: fromLinear(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+        g: fromLinear(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+        b: fromLinear(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s),
+        a: alpha
+    };
+}
 
 /**
- * Unit class represents a general-purpose interactive visual element in the animation system.
- * It handles rendering, interaction events, positioning, and state management.
- * Units can be positioned absolutely or relative to other units, and can respond to various mouse events.
- */
-class Unit {
-    /**
-     * Creates a new Unit instance with the specified context and attributes.
-     * @param {Context} context - The animation context this unit belongs to
-     * @param {Object} attributes - Optional attributes to initialize the unit with
-     */
-    constructor(context, attributes = {}) {
-        this.context = context;
-        context.addUnit(this)
-        
-        // Basic identification
-        /** @type {string} Unique identifier for this unit */
-        this.name = context.randomName("Unit");
+* Builds a function giving the value a fraction t of the way from `from` to `to`.
+* Numbers are interpolated linearly, CSS colors in OKLab, objects (points, sizes, ...) key by key.
+* Anything else switches to `to` at the end.
+* @param {*} from 
+* @param {*} to 
+* @returns {function(number): *}
+*/
+function createInterpolator(from, to) {
+    if (typeof from === "number" && typeof to === "number") {
+        return (t) => from + (to - from) * t;
+    }
+
+    const fromColor = parseColor(from);
+    const toColor = parseColor(to);
+    if (fromColor && toColor) {
+        // a fully transparent end has no real hue, fade the other color's alpha instead of passing through black
+        const start = rgbToOklab(fromColor.a === 0 ? { ...toColor, a: 0 } : fromColor);
+        const end = rgbToOklab(toColor.a === 0 ? { ...fromColor, a: 0 } : toColor);
+        return (t) => {
+            if (t >= 1) return to;
+            const { r, g, b, a } = oklabToRgb({
+                L: start.L + (end.L - start.L) * t,
+                A: start.A + (end.A - start.A) * t,
+                B: start.B + (end.B - start.B) * t,
+                // overshooting curves can push alpha out of range
+                alpha: Math.min(1, Math.max(0, start.alpha + (end.alpha - start.alpha) * t))
+            });
+            return `rgba(${r}, ${g}, ${b}, ${+a.toFixed(3)})`;
+        };
+    }
+
+    if (from && to && typeof from === "object" && typeof to === "object") {
+        const keys = Object.keys(to).filter(key => key in from);
+        const parts = keys.map(key => createInterpolator(from[key], to[key]));
+        return (t) => {
+            const value = Array.isArray(to) ? [...to] : { ...from, ...to };
+            keys.forEach((key, i) => value[key] = parts[i](t));
+            return value;
+        };
+    }
+
+    return (t) => t >= 1 ? to : from;
+}
+
+//============================================================================================
+//                             TRANSFORM FUNCTIONS
+//============================================================================================
+
+// 2d affine matrices use the canvas layout: x' = a*x + c*y + e, y' = b*x + d*y + f
+
+function multiplyTransform(m1, m2) {
+    return {
+        a: m1.a * m2.a + m1.c * m2.b,
+        b: m1.b * m2.a + m1.d * m2.b,
+        c: m1.a * m2.c + m1.c * m2.d,
+        d: m1.b * m2.c + m1.d * m2.d,
+        e: m1.a * m2.e + m1.c * m2.f + m1.e,
+        f: m1.b * m2.e + m1.d * m2.f + m1.f
+    };
+}
+
+//returns null for a degenerate matrix (e.g. a scale of 0)
+function invertTransform(m) {
+    const det = m.a * m.d - m.b * m.c;
+    if (det === 0) return null;
+    return {
+        a: m.d / det,
+        b: -m.b / det,
+        c: -m.c / det,
+        d: m.a / det,
+        e: (m.c * m.f - m.d * m.e) / det,
+        f: (m.b * m.e - m.a * m.f) / det
+    };
+}
+
+function applyTransform(m, x, y) {
+    return {
+        x: m.a * x + m.c * y + m.e,
+        y: m.b * x + m.d * y + m.f
+    };
+}
+
+/**
+* Applies the world transform of a unit's parent chain, so the unit can keep drawing in parent space.
+* @param {CanvasRenderingContext2D} ctx 
+* @param {Unit} unit 
+*/
+function applyParentTransform(ctx, unit) {
+    if (!unit.parent) return;
+    const m = unit.parent.getWorldTransform();
+    ctx.transform(m.a, m.b, m.c, m.d, m.e, m.f);
+}
+
+//============================================================================================
+//                             HIT TESTING FUNCTIONS
+//============================================================================================
+
+function hitTestDefaultFactory(unit) {
+    return (x, y) => {
+        // Undo every transform up the parent chain, landing in the unit's own bounding box space
+        const local = unit.worldToLocal(x, y);
+        if (!local) return false;
         
-        // Visual properties
-        /** @type {Image} image resource to be drawn, created from HTTPS URL */
-        this.image = null;
-        /** @type {'fill' | 'ar' | 'stretch'} Specifies how the image should fit within its container */
-        this.imageFit = '';
-        /** @type {Object} Color settings with primary color definition */
-        this.colors = { primary: "blue", label: 'white' };
-        /** @type {Object} Text content configuration */
-        this.text = { label: undefined };
-        /** @type {Object} Text alignment settings, e.g., 'left', 'center', or 'right' */
-        this.textAlign = { label: 'center' };
-        /** @type {Object} Text styling configuration */
-        this.textStyles = { label: createTextStyle({}) };
-        /** @type {number} Rendering order (higher numbers render on top) */
-        this.zOrder = 0;
+        return (
+            local.x >= 0 &&
+            local.y >= 0 &&
+            local.x <= unit.size.width &&
+            local.y <= unit.size.height
+        );
+    };
+}
+
+/**
+* Hit test for a line unit: startPos to endPos (canvas space) offset by fn(t), sampled in segments.
+* Comes with the bounds it can hit in, which the unit's default getHitBounds picks up.
+* @param {Unit} unit 
+*/
+function hitTestLineFactory(unit) {
+    const tolerance = 6; // pixels
+    const points = () => {
+        const { startPos, endPos, fn, segments } = unit;
+        const dx = endPos.x - startPos.x;
+        const dy = endPos.y - startPos.y;
+        const result = [];
+        for (let i = 0; i <= segments; i++) {
+            const t = i / segments;
+            result.push({ x: startPos.x + dx * t, y: startPos.y + dy * t + fn(t) });
+        }
+        return result;
+    };
+    
+    const hitTest = (px, py) => {
+        function distToSegmentSquared(px, py, x1, y1, x2, y2) {
+            const l2 = (x2 - x1) ** 2 + (y2 - y1) ** 2;
+            if (l2 === 0) return (px - x1) ** 2 + (py - y1) ** 2;
+            let t = ((px - x1) * (x2 - x1) + (py - y1) * (y2 - y1)) / l2;
+            t = Math.max(0, Math.min(1, t));
+            const projX = x1 + t * (x2 - x1);
+            const projY = y1 + t * (y2 - y1);
+            return (px - projX) ** 2 + (py - projY) ** 2;
+        }
         
-        // Event handlers
-        /** @type {Function} Handler for click events */
-        this.onClick = (event) => {};
-        /** @type {Function} Handler for hover events */
-        this.onHover = (event) => {};
-        /** @type {Function} Handler for double click events */
-        this.onDoubleClick = (event) => {};
-        /** @type {Function} Handler for mouse leave events */
-        this.onMouseLeave = (event) => {};
-        /** @type {Function} Handler for mouse down events */
-        this.onMouseDown = (event) => {};
-        /** @type {Function} Handler for mouse up events */
-        this.onMouseUp = (event) => {};
-        /** @type {Function} Handler for drag events with start and current positions */
-        this.onDrag = (event, start, current) => {};
-        /** @type {Function} Handler for drop events with start and end positions */
-        this.onDrop = (event, start, end) => {};
-        /** @type {Function} Handler for long press events */
-        this.onLongPress = (event) => {};
+        let last = null;
         
-        // State and behavior
-        /** @type {boolean} Whether the unit responds to interactions */
-        this.enabled = true;
-        /** @type {Object} Data change handlers mapped by data key */
-        this.onDataChange = {};
+        for (const { x, y } of points()) {
+            if (last) {
+                const distSq = distToSegmentSquared(px, py, last.x, last.y, x, y);
+                if (distSq < tolerance * tolerance) return true;
+            }
+            last = { x, y };
+        }
         
-        // Geometry and transformation
-        /** @type {Object} Dimensions of the unit */
-        this.size = {width: 100, height: 100};
-        /** @type {Object} Position in canvas coordinates */
-        this.pos = {x: 10, y: 10};
-        /** @type {Object} Scale factors for x and y dimensions */
-        this.scale = { x: 1, y: 1 };
-        /** @type {Object} Rotation angles for x and y axes */
-        this.rot = { x: 0, y: 0 }; 
+        return false;
+    };
+    
+    hitTest.getBounds = () => {
+        const all = points();
+        const xs = all.map(p => p.x);
+        const ys = all.map(p => p.y);
+        const minX = Math.min(...xs) - tolerance;
+        const minY = Math.min(...ys) - tolerance;
+        return {
+            x: minX,
+            y: minY,
+            width: Math.max(...xs) + tolerance - minX,
+            height: Math.max(...ys) + tolerance - minY
+        };
+    };
+    return hitTest;
+}
 
-        /**
-         * Calculates the center position of the unit, used as the reference point for transformations
-         * Can be overridden to change the transformation origin point
-         * @returns {{x: number, y: number}} The center coordinates
-         */
-        this.getCenterPos = calculateCenterPosFactory(this);
-        
-        // Visual effects
-        /** @type {number} Opacity value between 0 and 1 */
-        this.opacity = 1;
-        /** @type {boolean} Whether to render a shadow */
-        this.enableShadow = false;
-        /** @type {number} Shadow blur radius */
-        this.shadowBlur = 5;
-        /** @type {number} Shadow x offset */
-        this.shadowOffsetX = 0;
-        /** @type {number} Shadow y offset */
-        this.shadowOffsetY = 4;
-        /** @type {number} Corner radius for rounded rectangles */
-        this.borderRadius = 16;
+//============================================================================================
+//                              REAL MEASURED SIZE FUNCTIONS 
+//============================================================================================
+
+/**
+* Returns a function that computes the transformed bounding box
+* (including position, rotation, and scale, composed with the parent chain) of a unit.
+* 
+* @param {Unit} unit 
+* @returns {() => { x: number, y: number, width: number, height: number }}
+*/
+function measuredBoundsDefaultFactory(unit) {
+    return () => { 
+        const { width, height } = unit.size;
+        // includes the transforms of every parent
+        const m = unit.getWorldTransform();
         
-        // Core functionality
-        /** @type {Function} Drawing function for rendering the unit */
-        this.draw = drawDefaultFactory(this);
-        /** @type {Function} Hit testing function for interaction detection */
-        this.hitTest = hitTestDefaultFactory(this);
-        /** @type {Function} Function to calculate actual bounds including transformations */
-        this.getMeasuredBounds = measuredBoundsDefaultFactory(this);
+        const corners = [
+            applyTransform(m, 0, 0),          // top-left
+            applyTransform(m, width, 0),      // top-right
+            applyTransform(m, width, height), // bottom-right
+            applyTransform(m, 0, height)      // bottom-left
+        ];
         
-        // Apply any custom attributes
-        Object.assign(this, attributes);
+        // Find bounding box
+        const xs = corners.map(p => p.x);
+        const ys = corners.map(p => p.y);
+        const minX = Math.min(...xs);
+        const maxX = Math.max(...xs);
+        const minY = Math.min(...ys);
+        const maxY = Math.max(...ys);
         
-        // Set up data change handlers
-        if (this.onDataChange) {
-            for (const key in this.onDataChange) {
-                context.store.onChange(key, this.onDataChange[key]);
-            }
+        return {
+            x: minX,
+            y: minY,
+            width: maxX - minX,
+            height: maxY - minY
+        };
+    };
+}
+
+/**
+* Returns a function giving the area a unit's hit test can accept points in: what the hit test
+* reports through its own getBounds() (see hitTestLineFactory), the measured bounds otherwise.
+* 
+* @param {Unit} unit 
+* @returns {() => { x: number, y: number, width: number, height: number }}
+*/
+function hitBoundsDefaultFactory(unit) {
+    return () => unit.hitTest.getBounds?.() ?? unit.getMeasuredBounds();
+}
+
+
+//if in browser
+class ScheduledTask {
+    static INFINITE = -1; 
+
+    /**
+    * @param {string} name - Unique name to identify the task.
+    * @param {number} delay - Delay between executions in ms.
+    * @param {number} repeat - Number of times to repeat. -1 = infinite.
+    * @param {Function} fn - The function to execute.
+    * @param {string[]} [channels] - The list of channels this task belongs to.
+    * @param {number} [now] - Current time on the scheduler's clock.
+    */
+    constructor(name, delay, repeat, fn, channels = ['global'], now = performance.now()) {
+        this.name = name;
+        this.delay = delay;
+        this.repeat = repeat;
+        this.fn = fn;
+        this.remaining = repeat;
+        this.channels = channels;
+
+        this.lastRun = now;
+        this.pausedAt = null;
+        this.totalPausedTime = 0;
+
+        /** @type {Array<function(boolean): void>} called once when the task leaves the scheduler, with true if it ran to completion */
+        this.endListeners = [];
+        /** @type {boolean} whether running it redraws the whole frame in 'on-demand' mode. Off for tasks
+        * that draw nothing, or only change tracked unit attributes (see Unit.TRACKED_ATTRIBUTES) */
+        this.marksDirty = true;
+    }
+
+    shouldRun(now) {
+        return now - this.lastRun >= this.delay;
+    }
+
+    run(now) {
+        this.fn();
+        this.lastRun = now;
+        if (this.repeat !== ScheduledTask.INFINITE) {
+            this.remaining--;
+        }
+        return this.remaining !== 0;
+    }
+
+    notifyPaused(now) {
+        this.pausedAt = now;
+    }
+
+    notifyResumed(now) {
+        if (this.pausedAt !== null) {
+            this.lastRun += now - this.pausedAt; // Shift forward by paused duration
+            this.pausedAt = null;
+        }
+    }
+}
+
+class AnimationTask extends ScheduledTask {
+    /**
+    * @param {string} name - Unique task name.
+    * @param {number} startVal - The start value of the animation.
+    * @param {number} endVal - The end value of the animation.
+    * @param {function(number): number} curve - A function mapping [0, 1] to curved [0, 1].
+    * @param {number} [duration] - Duration in milliseconds, may be left out if the curve has its own (see spring()).
+    * @param {function(number): void} fn - A function that receives the interpolated value.
+    * @param {string[]} [channels] - The list of channels this task belongs to.
+    * @param {number} [now] - Current time on the scheduler's clock.
+    */
+    constructor(name, startVal, endVal, curve, duration, fn, channels = ['global'], now = performance.now()) {
+        super(name, 0, ScheduledTask.INFINITE, () => {}, channels, now);
+
+        this.startVal = startVal;
+        this.endVal = endVal;
+        this.curve = curve || (t => t);
+        // curves like spring() know how long they take
+        this.duration = duration ?? this.curve.duration;
+        this.fn = fn;
+
+        this.animStart = now;
+        this.pausedAt = null;
+        this.totalPausedTime = 0;
+    }
+
+    run(now) {
+        const elapsed = now - this.animStart - this.totalPausedTime;
+        const rawProgress = Math.min(1, Math.max(0, elapsed / this.duration));
+        const curvedProgress = this.curve(rawProgress);
+        const value = this.startVal + (this.endVal - this.startVal) * curvedProgress;
+
+        this.fn(value);
+        this.lastRun = now;
+        return elapsed < this.duration;
+    }
+
+    notifyPaused(now) {
+        this.pausedAt = now;
+    }
+
+    notifyResumed(now) {
+        if (this.pausedAt !== null) {
+            this.totalPausedTime += now - this.pausedAt;
+            this.pausedAt = null;
+        }
+    }
+}
+
+/**
+* Drives a value with a damped spring instead of a curve and a duration. The target can be moved while it
+* runs (see retarget()) and the current velocity carries over, so a value chasing a moving target never
+* jumps. Removes itself once it has settled on the target, which is kept in endVal.
+*/
+class SpringTask extends AnimationTask {
+    // integration step, long frames are split into several of these to stay stable
+    static STEP_MS = 1000 / 120;
+    // longest frame gap that is simulated, e.g. after the tab was in the background
+    static MAX_FRAME_MS = 64;
+    // physics options that can be set on construction and retarget()
+    static PHYSICS = ["stiffness", "damping", "mass", "restDelta", "restSpeed"];
+
+    /**
+    * @param {string} name - Unique task name.
+    * @param {number} from - The start value.
+    * @param {number} to - The target value.
+    * @param {Object} [physics]
+    * @param {number} [physics.stiffness=170] 
+    * @param {number} [physics.damping=26] 
+    * @param {number} [physics.mass=1] 
+    * @param {number} [physics.velocity=0] - starting velocity in units per second
+    * @param {number} [physics.restDelta=0.01] - distance from the target that counts as arrived
+    * @param {number} [physics.restSpeed=0.1] - speed (units per second) that counts as stopped
+    * @param {function(number): void} fn - A function that receives the current value.
+    * @param {string[]} [channels] - The list of channels this task belongs to.
+    * @param {number} [now] - Current time on the scheduler's clock.
+    */
+    constructor(name, from, to, physics = {}, fn, channels = ['global'], now = performance.now()) {
+        super(name, from, to, linear, Infinity, fn, channels, now);
+        this.value = from;
+        this.velocity = physics.velocity ?? 0;
+        this.stiffness = 170;
+        this.damping = 26;
+        this.mass = 1;
+        this.restDelta = 0.01;
+        this.restSpeed = 0.1;
+        this._applyPhysics(physics);
+        this.lastStep = null;
+    }
+    
+    _applyPhysics(physics) {
+        SpringTask.PHYSICS
+            .filter(option => physics[option] !== undefined)
+            .forEach(option => this[option] = physics[option]);
+    }
+
+    /**
+    * Moves the target, keeping the current value and velocity.
+    * @param {number} to 
+    * @param {Object} [physics] - any of the constructor's physics options to change too
+    */
+    retarget(to, physics = {}) {
+        this.endVal = to;
+        if (physics.velocity !== undefined) this.velocity = physics.velocity;
+        this._applyPhysics(physics);
+    }
+
+    run(now) {
+        let dt = Math.min(SpringTask.MAX_FRAME_MS, now - (this.lastStep ?? now));
+        this.lastStep = now;
+        this.lastRun = now;
+
+        while (dt > 0) {
+            const h = Math.min(dt, SpringTask.STEP_MS) / 1000;
+            const force = -this.stiffness * (this.value - this.endVal) - this.damping * this.velocity;
+            this.velocity += force / this.mass * h;
+            this.value += this.velocity * h;
+            dt -= SpringTask.STEP_MS;
+        }
+
+        if (Math.abs(this.velocity) < this.restSpeed && Math.abs(this.value - this.endVal) < this.restDelta) {
+            this.value = this.endVal;
+            this.velocity = 0;
+            this.fn(this.value);
+            return false;
+        }
+        this.fn(this.value);
+        return true;
+    }
+
+    notifyPaused(now) {
+        this.pausedAt = now;
+    }
+
+    notifyResumed(now) {
+        if (this.pausedAt !== null) {
+            if (this.lastStep !== null) this.lastStep += now - this.pausedAt;
+            this.pausedAt = null;
+        }
+    }
+}
+
+/**
+* Runs the tasks of one sketch once per frame.
+*
+* Frames normally come from requestAnimationFrame and time from performance.now(), both can be swapped out.
+* In manual mode nothing runs by itself: time is virtual, starts at 0, and frames run only when step() or
+* advanceTo() is called, which makes a sketch reproducible frame by frame (tests, exports).
+*
+* Example:
+*   const scheduler = new TaskScheduler("test", { manual: true });
+*   scheduler.start();
+*   fadeIn(unit, 500);
+*   scheduler.advanceTo(250); // unit.opacity is now 0.5
+*/
+class TaskScheduler {
+    // frame length step() and advanceTo() use by default
+    static FRAME_MS = 1000 / 60;
+
+    /**
+    * @param {string} [sketchId] - id of the sketch this scheduler drives, every sketch on a page needs its own
+    * @param {Object} [options]
+    * @param {{now: function(): number}} [options.clock] - where time is read from, performance by default
+    * @param {{request: function(function(number): void): *, cancel: function(*): void}} [options.frameSource] - schedules the next frame, requestAnimationFrame by default.
+    * Only its timing is used, frames read their time from the clock
+    * @param {boolean} [options.manual=false] - run frames only through step()/advanceTo(), on a virtual clock
+    */
+    constructor(sketchId = "sketch::" + (Math.floor(Math.random() * (9999999 - 1000000 + 1)) + 1000000), { clock = null, frameSource = null, manual = false } = {}) {
+        this.sketchId = sketchId;
+        /** @type {ScheduledTask[]} */
+        this.tasks = [];
+        animateOneGlobal.AnimateOneEnvironment.stopSketchEnvironment(this.sketchId);
+        this.now = 0;
+
+        this.manual = manual;
+        this._virtualNow = 0;
+        /** @type {{now: function(): number}} */
+        this.clock = manual ? { now: () => this._virtualNow } : (clock ?? { now: () => performance.now() });
+        /** @type {{request: function(function(number): void): *, cancel: function(*): void}} */
+        this.frameSource = frameSource ?? {
+            request: (callback) => requestAnimationFrame(callback),
+            cancel: (id) => cancelAnimationFrame(id)
+        };
+        this._firstFrame = false;
+        // set while runFramesAt() drives the frames, the live loop idles meanwhile
+        this._detached = false;
+
+        /** @type {Set<string>} */
+        this.pausedChannels = new Set();
+        // an animation's last value is applied after that frame's render, so it needs one more frame
+        this._animatedLastFrame = false;
+        // a task marking frames dirty ran, see takeFrameDirty()
+        this._frameDirty = false;
+    }
+
+    /**
+    * @returns {ScheduledTask} the new task, replacing any task with the same name
+    */
+    add(name, delay, repeat, fn, channels = ['global']) {
+        this.remove(name);
+        const task = new ScheduledTask(name, delay, repeat, fn, channels, this.clock.now());
+        this.tasks.push(task);
+        return task;
+    }
+
+    /**
+    * @returns {AnimationTask} the new task, replacing (superseding) any task with the same name
+    */
+    addAnim(name, startVal, endVal, curve, duration, fn, channels = ['global', 'animation']) {
+        this.remove(name);
+        const task = new AnimationTask(name, startVal, endVal, curve, duration, fn, channels, this.clock.now());
+        this.tasks.push(task);
+        return task;
+    }
+
+    /**
+    * Starts a spring from `from` towards `to`. If a spring with this name is already running it is retargeted
+    * instead, keeping its current value and velocity (`from` is then ignored).
+    * @param {string} name 
+    * @param {number} from 
+    * @param {number} to 
+    * @param {Object} physics - see SpringTask
+    * @param {function(number): void} fn 
+    * @returns {SpringTask} the running spring
+    */
+    addSpring(name, from, to, physics, fn, channels = ['global', 'animation']) {
+        const running = this.tasks.find(task => task.name === name && task instanceof SpringTask);
+        if (running) {
+            running.retarget(to, physics);
+            running.fn = fn;
+            return running;
+        }
+        this.remove(name);
+        const task = new SpringTask(name, from, to, physics, fn, channels, this.clock.now());
+        this.tasks.push(task);
+        return task;
+    }
+
+    remove(name) {
+        this._removeTasks(task => task.name === name);
+    }
+
+    /**
+    * Removes one specific task instance, unlike remove() which goes by name.
+    * @param {ScheduledTask} task 
+    * @param {boolean} [completed=false] - passed on to the task's endListeners
+    */
+    removeTask(task, completed = false) {
+        this._removeTasks(t => t === task, completed);
+    }
+
+    _removeTasks(predicate, completed = false) {
+        const removed = this.tasks.filter(predicate);
+        if (removed.length === 0) return;
+        this.tasks = this.tasks.filter(task => !predicate(task));
+        removed.forEach(task => task.endListeners.forEach(fn => fn(completed)));
+    }
+    
+    /**
+    * @returns {boolean} whether an unpaused animation is running, or finished during the previous frame
+    */
+    isAnimating() {
+        return this._animatedLastFrame || this.tasks.some(task =>
+            task instanceof AnimationTask && !task.channels.some(ch => this.pausedChannels.has(ch))
+        );
+    }
+    
+    /**
+    * Whether a task with marksDirty ran since the last call. It is only read again by the next
+    * render, so a task running after this frame's render still gets the next frame redrawn.
+    * @returns {boolean}
+    */
+    takeFrameDirty() {
+        const dirty = this._frameDirty;
+        this._frameDirty = false;
+        return dirty;
+    }
+
+    start() {
+        if (animateOneGlobal.AnimateOneEnvironment.sketchEnvironmentIsRunning(this.sketchId)) return;
+        // the previous loop is still winding down from a stop: starting now would keep it going next to
+        // a second one (and its stop never resolving), so start once it has exited, unless stopped again
+        if (!this.manual && animateOneGlobal.AnimateOneEnvironment.sketchEnvironmentIsPosting(this.sketchId)) {
+            const sketch = animateOneGlobal.AnimateOneEnvironment.sketches[this.sketchId];
+            if (sketch.startPending) return;
+            sketch.startPending = true;
+            animateOneGlobal.AnimateOneEnvironment.sketchEnvironmentPostingEnded(this.sketchId).then(() => {
+                if (!sketch.startPending) return;
+                sketch.startPending = false;
+                this.start();
+            });
+            return;
+        }
+        animateOneGlobal.AnimateOneEnvironment.startSketchEnvironment(this.sketchId);
+        this._firstFrame = true;
+        // no loop to post, frames come from step()/advanceTo()
+        if (this.manual) return;
+        animateOneGlobal.AnimateOneEnvironment.startSketchEnvironmentPosting(this.sketchId);
+
+        const exitLoop = () => {
+            animateOneGlobal.AnimateOneEnvironment.stopSketchEnvironmentPosting(this.sketchId)
+            console.log(`${this.sketchId} exited from main loop. Environment terminated.`);
+        };
+
+        // the frame source's timestamp is ignored: tasks are created, paused and resumed on the clock,
+        // frames have to run on it too
+        const loop = () => {
+            if (this._detached) {
+                this.frameSource.request(loop);
+            } else if (this._runFrame(this.clock.now())) {
+                this.frameSource.request(loop);
+            } else {
+                exitLoop();
+            }
+        };
+
+        this.frameSource.request(loop);
+    }
+
+    /**
+    * Runs every due task once.
+    * @param {number} now - frame time
+    * @returns {boolean} whether the sketch is still running afterwards
+    */
+    _runFrame(now) {
+        if (!animateOneGlobal.AnimateOneEnvironment.sketchEnvironmentIsRunning(this.sketchId)) return false;
+
+        if (this._firstFrame) {
+            this._firstFrame = false;
+            animateOneGlobal.AnimateOneEnvironment.emitSketchEvent(this.sketchId, "running", { firstFrame: true });
+        }
+
+        this.now = now;
+        const currentTasks = [...this.tasks];
+        let animated = false;
+
+        for (let task of currentTasks) {
+            // Skip if any of the task's channels are paused
+            if (task.channels.some(ch => this.pausedChannels.has(ch))) {
+                continue;
+            }
+
+            if (task.shouldRun(now)) {
+                if (task instanceof AnimationTask) animated = true;
+                if (task.marksDirty) this._frameDirty = true;
+                let stillActive;
+                try {
+                    stillActive = task.run(now);
+                } catch (error) {
+                    // a throwing task would otherwise kill the loop and leave the sketch marked as posting
+                    console.warn(`${this.sketchId} task "${task.name}" threw:`, error);
+                    animateOneGlobal.AnimateOneEnvironment.stopSketchEnvironment(this.sketchId);
+                    animateOneGlobal.AnimateOneEnvironment.emitSketchEvent(this.sketchId, "errored", { task: task.name, error });
+                    // whoever is stepping by hand wants to see it
+                    if (this.manual) throw error;
+                    return false;
+                }
+                if (!stillActive) {
+                    this.removeTask(task, true);
+                }
+            }
+        }
+        this._animatedLastFrame = animated;
+
+        return animateOneGlobal.AnimateOneEnvironment.sketchEnvironmentIsRunning(this.sketchId);
+    }
+
+    /**
+    * Manual mode only: moves the virtual clock forward by ms and runs one frame there.
+    * @param {number} [ms=TaskScheduler.FRAME_MS] 
+    * @returns {number} the new time
+    */
+    step(ms = TaskScheduler.FRAME_MS) {
+        if (!this.manual) throw Error("step() needs a TaskScheduler created with { manual: true }");
+        this._stepTo(this._virtualNow + ms);
+        return this._virtualNow;
+    }
+
+    /**
+    * Manual mode only: steps frame by frame until the virtual clock reads time, the last frame landing exactly on it.
+    * @param {number} time - ms since the scheduler was created
+    * @param {number} [frameMs=TaskScheduler.FRAME_MS] 
+    * @returns {number} how many frames ran
+    */
+    advanceTo(time, frameMs = TaskScheduler.FRAME_MS) {
+        if (!this.manual) throw Error("advanceTo() needs a TaskScheduler created with { manual: true }");
+        let frames = 0;
+        while (this._virtualNow < time) {
+            this._stepTo(Math.min(this._virtualNow + frameMs, time));
+            frames++;
+        }
+        return frames;
+    }
+
+    _stepTo(time) {
+        this._virtualNow = time;
+        this._runFrame(time);
+    }
+
+    /**
+    * Runs `count` frames exactly frameMs apart, starting now, however long each one takes to handle (e.g. to
+    * encode it). Without manual mode the live loop idles meanwhile and the tasks are shifted afterwards, as
+    * after a pause, so the sketch carries on from the last frame run here instead of jumping ahead.
+    * @param {number} count 
+    * @param {number} frameMs 
+    * @param {function(number, number): (void | boolean | Promise<void | boolean>)} onFrame - called after each frame with its index and time, false stops early
+    */
+    async runFramesAt(count, frameMs, onFrame) {
+        if (this._detached) throw Error("runFramesAt() is already running");
+        this._detached = true;
+        const start = this.clock.now();
+        let time = start;
+        try {
+            for (let i = 0; i < count; i++) {
+                time = start + i * frameMs;
+                if (this.manual) this._stepTo(time);
+                else this._runFrame(time);
+                if (await onFrame(i, time) === false) break;
+            }
+        } finally {
+            this._detached = false;
+            if (!this.manual) {
+                const now = this.clock.now();
+                for (const task of this.tasks) {
+                    if (task.channels.some(ch => this.pausedChannels.has(ch))) continue;
+                    task.notifyPaused?.(time);
+                    task.notifyResumed?.(now);
+                }
+            }
+        }
+    }
+
+    pause(channel = 'global') {
+        this.pausedChannels.add(channel);
+        for (let task of this.tasks) {
+            if (task.channels.includes(channel) && typeof task.notifyPaused === 'function') {
+                task.notifyPaused(this.clock.now());
+            }
+        }
+        animateOneGlobal.AnimateOneEnvironment.emitSketchEvent(this.sketchId, "paused", { channel });
+    }
+
+    resume(channel = 'global') {
+        this.pausedChannels.delete(channel);
+        for (let task of this.tasks) {
+            if (task.channels.includes(channel) && typeof task.notifyResumed === 'function') {
+                task.notifyResumed(this.clock.now());
+            }
+        }
+        if (!animateOneGlobal.AnimateOneEnvironment.sketchEnvironmentIsRunning(this.sketchId)) {
+            // "running" comes with the first frame
+            this.start();
+        } else if (this.manual || animateOneGlobal.AnimateOneEnvironment.sketchEnvironmentIsPosting(this.sketchId)) {
+            animateOneGlobal.AnimateOneEnvironment.emitSketchEvent(this.sketchId, "running", { channel });
+        }
+    }
+
+    stop(channel = null) {
+        if (channel === null) {
+            animateOneGlobal.AnimateOneEnvironment.stopSketchEnvironment(this.sketchId);
+            this.pausedChannels.clear();
+            this._removeTasks(() => true);
+        } else {
+            this._removeTasks(t => t.channels.includes(channel));
+            this.pausedChannels.delete(channel);
+        }
+    }
+}
+
+
+function rectsIntersect(a, b) {
+    return a.x <= b.x + b.width && b.x <= a.x + a.width && a.y <= b.y + b.height && b.y <= a.y + a.height;
+}
+
+/**
+* @param {Context} context - AnimateOne context, contains everything
+*/
+function registerDrawLoop(context) {
+    /**@type {TaskScheduler} */
+    const scheduler = context.scheduler;
+    scheduler.add(
+        "render",
+        0,
+        ScheduledTask.INFINITE,
+        () => {
+            // 'frame' notify mode delivers the frame's store changes here, before deciding what to redraw
+            context.store.flush();
+            const dirty = context._takeDirty();
+            if (!dirty) return;
+            
+            context.zSortUnits()
+            let ctx = context.getCanvasContext();
+            const { width, height } = context.store.get(Context.SIZE_STORE_KEY);
+            const region = dirty === true ? { x: 0, y: 0, width, height } : dirty;
+            
+            ctx.save();
+            if (dirty !== true) {
+                // only repaint the invalidated region, and only units that overlap it
+                ctx.beginPath();
+                ctx.rect(region.x, region.y, region.width, region.height);
+                ctx.clip();
+            }
+            ctx.fillStyle = context.canvasBgColor;
+            ctx.fillRect(region.x, region.y, region.width, region.height);
+            context._units.forEach((unit) => { 
+                // one drawing outside its bounds may still cross the region
+                if (dirty === true || unit.drawsOutsideBounds || rectsIntersect(unit._paintBounds, region)) {
+                    context._drawUnit(unit);
+                }
+            })
+            ctx.restore();
+        },
+        ['render']
+    ).marksDirty = false;
+} 
+
+
+// proxy -> the object it watches, so a watched value assigned somewhere else is watched afresh instead of twice
+const watchedAttributeTargets = new WeakMap();
+
+/**
+* Wraps a plain object or array attribute value so in-place edits (unit.pos.x = 5, nested ones too) call onChange.
+* Anything else is returned as is.
+* @param {*} value 
+* @param {function(): void} onChange 
+* @returns {*}
+*/
+function watchAttributeValue(value, onChange) {
+    const isData = (v) => v !== null && typeof v === "object"
+        && (Array.isArray(v) || Object.getPrototypeOf(Object.getPrototypeOf(v) ?? Object.prototype) === null);
+    const unwrap = (v) => watchedAttributeTargets.get(v) ?? v;
+    if (!isData(value)) return value;
+    
+    // one proxy per nested object, so reading the same attribute twice gives the same object
+    const proxies = new WeakMap();
+    const watch = (target) => {
+        if (proxies.has(target)) return proxies.get(target);
+        const proxy = new Proxy(target, {
+            get(t, key) {
+                const v = t[key];
+                return isData(v) ? watch(unwrap(v)) : v;
+            },
+            set(t, key, v) {
+                t[key] = unwrap(v);
+                onChange();
+                return true;
+            },
+            deleteProperty(t, key) {
+                delete t[key];
+                onChange();
+                return true;
+            }
+        });
+        proxies.set(target, proxy);
+        watchedAttributeTargets.set(proxy, target);
+        return proxy;
+    };
+    return watch(unwrap(value));
+}
+
+/**
+ * Unit class represents a general-purpose interactive visual element in the animation system.
+ * It handles rendering, interaction events, positioning, and state management.
+ * Units can be positioned absolutely or relative to other units, and can respond to various mouse events.
+ */
+class Unit {
+    // attributes the context watches: setting them, or editing them in place (unit.pos.x = 5), redraws
+    // the unit where it was and where it is now and moves it in hit testing. Anything else needs invalidate()
+    static TRACKED_ATTRIBUTES = [
+        "pos", "size", "scale", "rot", "zOrder", "opacity", "colors", "text", "textAlign", "textStyles",
+        "image", "imageFit", "borderRadius", "enableShadow", "shadowBlur", "shadowOffsetX", "shadowOffsetY",
+        "draw", "hitTest", "getMeasuredBounds", "getHitBounds"
+    ];
+    
+    // onClick of units that don't handle clicks
+    static NO_CLICK = (event) => {};
+
+    /**
+     * Creates a new Unit instance with the specified context and attributes.
+     * @param {Context} context - The animation context this unit belongs to
+     * @param {Object} attributes - Optional attributes to initialize the unit with
+     */
+    constructor(context, attributes = {}) {
+        this.context = context;
+        context.addUnit(this)
+        
+        // tracked attributes live here behind accessors, see TRACKED_ATTRIBUTES
+        this._attributes = {};
+        /** @type {{x: number, y: number, width: number, height: number} | null} where it was last drawn, kept by the context */
+        this._paintBounds = null;
+        /** @type {Set<string>} store keys its last draw read, kept by the context */
+        this._storeReads = new Set();
+        Unit.TRACKED_ATTRIBUTES.forEach(name => {
+            const onChange = () => context._unitChanged(this, name === "zOrder");
+            Object.defineProperty(this, name, {
+                enumerable: true,
+                configurable: true,
+                get: () => this._attributes[name],
+                set: (value) => {
+                    this._attributes[name] = watchAttributeValue(value, onChange);
+                    onChange();
+                }
+            });
+        });
+        
+        // Basic identification
+        /** @type {string} Unique identifier for this unit */
+        this.name = context.randomName("Unit");
+        
+        // Visual properties
+        /** @type {Image} image resource to be drawn, created from HTTPS URL */
+        this.image = null;
+        /** @type {'fill' | 'ar' | 'stretch'} Specifies how the image should fit within its container */
+        this.imageFit = '';
+        /** @type {Object} Color settings with primary color definition */
+        this.colors = { primary: "blue", label: 'white' };
+        /** @type {Object} Text content configuration */
+        this.text = { label: undefined };
+        /** @type {Object} Text alignment settings, e.g., 'left', 'center', or 'right' */
+        this.textAlign = { label: 'center' };
+        /** @type {Object} Text styling configuration */
+        this.textStyles = { label: createTextStyle({}) };
+        /** @type {number} Rendering order (higher numbers render on top) */
+        this.zOrder = 0;
+        
+        // Event handlers
+        /** @type {Function} Handler for click events, also run by Enter and Space while focused */
+        this.onClick = Unit.NO_CLICK;
+        /** @type {Function} Handler for hover events */
+        this.onHover = (event) => {};
+        /** @type {Function} Handler for double click events */
+        this.onDoubleClick = (event) => {};
+        /** @type {Function} Handler for mouse leave events */
+        this.onMouseLeave = (event) => {};
+        /** @type {Function} Handler for mouse down events */
+        this.onMouseDown = (event) => {};
+        /** @type {Function} Handler for mouse up events */
+        this.onMouseUp = (event) => {};
+        /** @type {Function} Handler for drag events with start and current positions */
+        this.onDrag = (event, start, current) => {};
+        /** @type {Function} Handler for drop events with start and end positions */
+        this.onDrop = (event, start, end) => {};
+        /** @type {Function} Handler for long press events */
+        this.onLongPress = (event) => {};
+        /** @type {Function} Handler for key down events while this unit has keyboard focus */
+        this.onKeyDown = (event) => {};
+        /** @type {Function} Handler for key up events while this unit has keyboard focus */
+        this.onKeyUp = (event) => {};
+        /** @type {Function} Called when this unit gains keyboard focus */
+        this.onFocus = () => {};
+        /** @type {Function} Called when this unit loses keyboard focus */
+        this.onBlur = () => {};
+        /** @type {Function} Handler for two-finger pinch events with scale relative to the gesture start */
+        this.onPinch = ({ event, scale, center, start }) => {};
+        /** @type {Function} Handler for two-finger rotate events with rotation (radians) relative to the gesture start */
+        this.onRotate = ({ event, rotation, center, start }) => {};
+        
+        // State and behavior
+        /** @type {boolean} Whether the unit responds to interactions */
+        this.enabled = true;
+        /** @type {number | null} Keyboard focus order: negative = not focusable, 0 = by z-order, positive = explicit order,
+        * null = 0 for interactive units, -1 otherwise (see getTabIndex) */
+        this.tabIndex = null;
+        
+        // Accessibility, only used when context.enableAccessibility() is on
+        /** @type {string | null} ARIA role, e.g. 'button', 'slider', 'textbox', 'img'. Units without one are not mirrored */
+        this.role = null;
+        /** @type {string | (() => string) | null} Accessible name, falls back to text.label */
+        this.ariaLabel = null;
+        /** @type {string | null} Store key holding the current value (aria-valuenow, or the textbox value) */
+        this.ariaValueKey = null;
+        /** @type {number | null} Lowest value, for sliders */
+        this.ariaValueMin = null;
+        /** @type {number | null} Highest value, for sliders */
+        this.ariaValueMax = null;
+        /** @type {Object} Data change handlers mapped by data key */
+        this.onDataChange = {};
+        
+        // Geometry and transformation
+        /** @type {Object} Dimensions of the unit */
+        this.size = {width: 100, height: 100};
+        /** @type {Object} Position in canvas coordinates */
+        this.pos = {x: 10, y: 10};
+        /** @type {Object} Scale factors for x and y dimensions */
+        this.scale = { x: 1, y: 1 };
+        /** @type {Object} Rotation angles for x and y axes */
+        this.rot = { x: 0, y: 0 }; 
+        
+        // Hierarchy
+        /** @type {Unit | null} Parent unit, pos / rot / scale / opacity are relative to it */
+        this.parent = null;
+        /** @type {Unit[]} Child units, added with addChild() */
+        this.children = [];
+        /** @type {{to: string, direction: string, offset: {x: number, y: number}} | null} Set by bindPositionRelativeTo(), by unit name */
+        this.positionBinding = null;
+        /** @type {{type: string, options: Object} | null} How a widget factory made this unit, on the unit it returns (see tagWidget) */
+        this.widget = null;
+        /** @type {Unit | null} For the other units a widget made, the unit standing for the widget */
+        this.widgetRoot = null;
+
+        /**
+         * Calculates the center position of the unit, used as the reference point for transformations
+         * Can be overridden to change the transformation origin point
+         * @returns {{x: number, y: number}} The center coordinates
+         */
+        this.getCenterPos = calculateCenterPosFactory(this);
+        
+        // Visual effects
+        /** @type {number} Opacity value between 0 and 1 */
+        this.opacity = 1;
+        /** @type {boolean} Whether to render a shadow */
+        this.enableShadow = false;
+        /** @type {number} Shadow blur radius */
+        this.shadowBlur = 5;
+        /** @type {number} Shadow x offset */
+        this.shadowOffsetX = 0;
+        /** @type {number} Shadow y offset */
+        this.shadowOffsetY = 4;
+        /** @type {number} Corner radius for rounded rectangles */
+        this.borderRadius = 16;
+        /** @type {boolean} Whether draw can paint outside getPaintBounds(), a change then redraws the whole canvas */
+        this.drawsOutsideBounds = false;
+        
+        // Core functionality
+        /** @type {Function} Drawing function for rendering the unit */
+        this.draw = drawDefaultFactory(this);
+        /** @type {Function} Hit testing function for interaction detection */
+        this.hitTest = hitTestDefaultFactory(this);
+        /** @type {Function} Function to calculate actual bounds including transformations */
+        this.getMeasuredBounds = measuredBoundsDefaultFactory(this);
+        /** @type {Function} Area hitTest can accept points in, used to find hit test candidates quickly */
+        this.getHitBounds = hitBoundsDefaultFactory(this);
+        
+        // Apply any custom attributes
+        Object.assign(this, attributes);
+        
+        // A parent passed as an attribute still has to register this unit as its child
+        if (attributes.parent) {
+            this.parent = null;
+            attributes.parent.addChild(this);
+        }
+        
+        // Set up data change handlers
+        if (this.onDataChange) {
+            for (const key in this.onDataChange) {
+                context.store.onChange(key, this.onDataChange[key]);
+            }
+        }
+    }
+    
+    /**
+     * Makes another unit a child of this one. Its pos, rot, scale and opacity become relative to this unit,
+     * with pos measured from this unit's top-left corner.
+     * @param {Unit} child 
+     * @returns {Unit} the child
+     */
+    addChild(child) {
+        child.parent?.removeChild(child);
+        child.parent = this;
+        this.children.push(child);
+        this.context._unitChanged(child, true);
+        return child;
+    }
+    
+    /**
+     * Detaches a child, which becomes a root unit again (its pos is then read in canvas space).
+     * @param {Unit} child 
+     */
+    removeChild(child) {
+        this.children = this.children.filter(c => c !== child);
+        if (child.parent === this) child.parent = null;
+        this.context._unitChanged(child, true);
+    }
+    
+    /**
+     * Matrix mapping this unit's bounding box space (0..width, 0..height) into its parent's space.
+     * @returns {{a: number, b: number, c: number, d: number, e: number, f: number}}
+     */
+    getLocalTransform() {
+        const { width, height } = this.size;
+        const { x: cx, y: cy } = this.getCenterPos();
+        const angle = this.rot?.x ?? 0;
+        const sx = this.scale?.x ?? 1;
+        const sy = this.scale?.y ?? 1;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        
+        // translate(center) * rotate * scale * translate(-size / 2)
+        return {
+            a: cos * sx,
+            b: sin * sx,
+            c: -sin * sy,
+            d: cos * sy,
+            e: cx - (width / 2) * cos * sx + (height / 2) * sin * sy,
+            f: cy - (width / 2) * sin * sx - (height / 2) * cos * sy
+        };
+    }
+    
+    /**
+     * Matrix mapping this unit's bounding box space into canvas space, through every parent.
+     */
+    getWorldTransform() {
+        const local = this.getLocalTransform();
+        return this.parent ? multiplyTransform(this.parent.getWorldTransform(), local) : local;
+    }
+    
+    /**
+     * @returns {number} opacity multiplied by every parent's opacity
+     */
+    getWorldOpacity() {
+        const own = this.opacity ?? 1;
+        return this.parent ? own * this.parent.getWorldOpacity() : own;
+    }
+    
+    /**
+     * Converts a canvas point into this unit's bounding box space.
+     * @returns {{x: number, y: number} | null} null when the unit is scaled to nothing
+     */
+    worldToLocal(x, y) {
+        const inverse = invertTransform(this.getWorldTransform());
+        return inverse ? applyTransform(inverse, x, y) : null;
+    }
+    
+    /**
+     * Converts a point in this unit's bounding box space into canvas space.
+     */
+    localToWorld(x, y) {
+        return applyTransform(this.getWorldTransform(), x, y);
+    }
+    
+    /**
+     * tabIndex, or when it is null: 0 (focusable) for interactive units, ones with an onClick
+     * or an interactive role (see AccessibilityMirror.INTERACTIVE_ROLES), -1 for the rest.
+     * @returns {number}
+     */
+    getTabIndex() {
+        if (this.tabIndex !== null) return this.tabIndex;
+        const interactive = this.onClick !== Unit.NO_CLICK || AccessibilityMirror.INTERACTIVE_ROLES.includes(this.role);
+        return interactive ? 0 : -1;
+    }
+    
+    /**
+     * Marks this unit for redraw, where it was last drawn and where it is now, and updates where hit testing
+     * looks for it. Changes to TRACKED_ATTRIBUTES do this on their own, call it after changing anything
+     * else its drawing or hit test depends on (a line's endPos, a custom draw function's own state, ...).
+     */
+    invalidate() {
+        this.context._unitChanged(this);
+    }
+    
+    /**
+     * Area this unit paints in: its bounds with room for the focus ring and the shadow, both drawn outside them.
+     * @returns {{x: number, y: number, width: number, height: number}} canvas space
+     */
+    getPaintBounds() {
+        const bounds = this.getMeasuredBounds();
+        const margin = 6 + (this.enableShadow ? this.shadowBlur + Math.max(Math.abs(this.shadowOffsetX), Math.abs(this.shadowOffsetY)) : 0);
+        return {
+            x: bounds.x - margin,
+            y: bounds.y - margin,
+            width: bounds.width + 2 * margin,
+            height: bounds.height + 2 * margin
+        };
+    }
+    
+    /**
+     * Updates a single attribute value and syncs with the store if the attribute is being tracked.
+     * @param {string} attr - The attribute name to update, may be nested (e.g. "size.width")
+     * @param {any} value - The new value for the attribute
+     */
+    update(attr, value) {
+        setUnitProperty(this, attr, value);
+        this.updateInStore(attr);
+        // bindings watch whole attributes ("pos"), a nested change has to reach them too
+        if (attr.includes(".")) this.updateInStore(attr.split(".")[0]);
+        // if (this.context.store.added(this.getAttributeStoreName(attr))) {
+        // }
+    }
+    
+    /**
+     * Updates the store value for an attribute. Handles nested attributes (e.g., "pos.x").
+     * @param {string} attributeName - The full attribute name to update in store, taken from getAttributeStoreName(attribute)
+     */
+    updateInStore(attributeName) {
+        const key = this.getAttributeStoreName(attributeName);
+        this.context._attributeStoreKeys.set(key, { unit: this, attributeName });
+        let value;
+        try {
+            const parts = attributeName.split(".");
+            value = parts.reduce((obj, key) => obj?.[key], this);
+        } catch (e) {
+            value = undefined;
+        }
+        this.context.store.set(key, value);
+    }
+    
+    /**
+     * Generates the unique store key for an attribute of this unit.
+     * @param {string} attributeName - The attribute name
+     * @returns {string} The store key in format "unitName::attributeName"
+     */
+    getAttributeStoreName(attributeName){
+        return this.name + "::" + attributeName;
+    }
+    
+    /**
+    * Positions this Unit dynamically relative to another Unit.
+    *
+    * NOTE: Do not use this function if this Unit's position will later be 
+    * manually modified, as those changes will be overwritten.
+    * The two units can have different parents, otherUnit is then aligned with by where it is on the canvas.
+    * 
+    * Example:
+    *   // place myUnit just below otherUnit, aligned by their horizontal centers
+    *   myUnit.bindPositionRelativeTo(otherUnit, "bottom", { x: 0, y: 10 });
+    *
+    * @param {Unit} otherUnit
+    * @param {string} direction  One of the direction keywords above
+    * @param {{x?:number,y?:number}} [offset={x:0,y:0}]
+    */
+    bindPositionRelativeTo(otherUnit, direction, offset = { x: 0, y: 0 }) {
+        const { x: padX = 0, y: padY = 0 } = offset;
+        
+        // Helper to align corners/edges based on direction code
+        this._boundPositionListeners = this._boundPositionListeners || [];
+
+        const updatePosition = () => {
+            // const thisBox = this.getMeasuredBounds();
+            // const otherBox = otherUnit.getMeasuredBounds();
+
+            const thisBox = {x: this.pos.x, y: this.pos.y, width: this.size.width, height: this.size.height};
+            let otherBox = {x: otherUnit.pos.x, y: otherUnit.pos.y, width: otherUnit.size.width, height: otherUnit.size.height};
+            
+            // otherBox is in the other unit's parent space, this unit is placed in its own parent's: go through
+            // canvas space and take what the other box covers there
+            if (otherUnit.parent !== this.parent) {
+                const corners = [[0, 0], [1, 0], [0, 1], [1, 1]].map(([fx, fy]) => {
+                    let point = { x: otherBox.x + fx * otherBox.width, y: otherBox.y + fy * otherBox.height };
+                    if (otherUnit.parent) point = otherUnit.parent.localToWorld(point.x, point.y);
+                    return this.parent ? this.parent.worldToLocal(point.x, point.y) : point;
+                });
+                // this unit's parent is scaled to nothing, there is nowhere to put it
+                if (corners.includes(null)) return;
+                const xs = corners.map(point => point.x);
+                const ys = corners.map(point => point.y);
+                const x = Math.min(...xs);
+                const y = Math.min(...ys);
+                otherBox = { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+            }
+
+            let newX = 0, newY = 0;
+            
+            switch (direction) {
+                case "top-left":
+                newX = otherBox.x - thisBox.width;
+                newY = otherBox.y - thisBox.height;
+                break;
+                case "top-right":
+                newX = otherBox.x + otherBox.width;
+                newY = otherBox.y - thisBox.height;
+                break;
+                case "bottom-left":
+                newX = otherBox.x - thisBox.width;
+                newY = otherBox.y + otherBox.height;
+                break;
+                case "bottom-right":
+                newX = otherBox.x + otherBox.width;
+                newY = otherBox.y + otherBox.height;
+                break;
+                case "left":
+                newX = otherBox.x - thisBox.width;
+                newY = otherBox.y + (otherBox.height - thisBox.height) / 2;
+                break;
+                case "right":
+                newX = otherBox.x + otherBox.width;
+                newY = otherBox.y + (otherBox.height - thisBox.height) / 2;
+                break;
+                case "top":
+                newX = otherBox.x + (otherBox.width - thisBox.width) / 2;
+                newY = otherBox.y - thisBox.height;
+                break;
+                case "bottom":
+                newX = otherBox.x + (otherBox.width - thisBox.width) / 2;
+                newY = otherBox.y + otherBox.height;
+                break;
+                case "center":
+                default:
+                newX = otherBox.x + (otherBox.width - thisBox.width) / 2;
+                newY = otherBox.y + (otherBox.height - thisBox.height) / 2;
+                break;
+            }
+            
+            // Apply offset
+            newX += padX;
+            newY += padY;
+            
+            this.update("pos", { x: newX, y: newY });
+        };
+        
+        // helper to register & record
+        const watch = (key) => {
+            this.context.store.onChange(key, updatePosition, { coalesce: true });
+            this._boundPositionListeners.push({ key, fn: updatePosition });
+        };
+        
+        watch(otherUnit.getAttributeStoreName("pos"));
+        watch(otherUnit.getAttributeStoreName("size"));
+        watch(otherUnit.getAttributeStoreName("rot"));
+        watch(otherUnit.getAttributeStoreName("scale"));
+        watch(this.getAttributeStoreName("size"));
+        watch(this.getAttributeStoreName("rot"));
+        watch(this.getAttributeStoreName("scale"));
+        this.positionBinding = { to: otherUnit.name, direction, offset: { x: padX, y: padY } };
+        // Initial placement
+        updatePosition();
+    };
+    
+    bindToScreenPosition(position, padding = {x: 0, y: 0}) {
+        const { x: padX = 0, y: padY = 0 } = padding;
+        function getOppositeDirection(direction) {
+            const opposites = {
+                top: 'bottom',
+                bottom: 'top',
+                left: 'right',
+                right: 'left',
+                center: 'center'
+            };
+
+            const parts = direction.toLowerCase().split('-');
+            const reversed = parts.map(part => opposites[part] || part);
+            return reversed.join('-');
+        }
+
+        this.bindPositionRelativeTo(
+            this.context.getAnchor(position), 
+            getOppositeDirection(position), 
+            { x: padX, y: padY }
+        );
+    }
+
+    /**
+     * Removes all position binding listeners, stopping automatic position updates.
+     * Call this before deleting a unit or when manual positioning is needed.
+     */
+    unbindPositionRelativeTo() {
+        if (!this._boundPositionListeners) return;
+        for (let { key, fn } of this._boundPositionListeners) {
+            this.context.store.removeOnChange(key, fn);
+        }
+        this._boundPositionListeners = [];
+        this.positionBinding = null;
+    }
+    
+    /**
+     * Removes the unit from the context and cleans up any bindings.
+     * Call this to properly dispose of a unit.
+     */
+    delete() {
+        [...this.children].forEach(child => child.delete());
+        this.parent?.removeChild(this);
+        this.unbindPositionRelativeTo();
+        /**@type {Context} */
+        const context = this.context;
+        for (const key in this.onDataChange || {}) {
+            context.store.removeOnChange(key, this.onDataChange[key]);
+        }
+        if (context.focusedUnit === this) context.blurUnit();
+        context.removeUnit(this.name);
+    }
+}
+
+//============================================================================================
+//                             SCENE FORMAT
+//============================================================================================
+
+/*
+* A scene is plain JSON describing a sketch without code:
+*
+* {
+*   "version": 1,
+*   "canvas": { "background": "white", "focusRingColor": "#1a73e8", "renderMode": "continuous" },
+*   "store": { "sales::jan": 12, ... },                  // seed values, set after everything is built
+*   "units": [{                                           // parents come before their children
+*     "name": "title", "parent": null,
+*     "pos": { "x": 10, "y": 10 }, "size": { "width": 200, "height": 40 }, "text": { "label": "Hi" }, ...,
+*     "image": "https://...",                             // the image URL, if any
+*     "bindPosition": { "to": "CONTEXT-ANCHOR-UNIT-top-center", "direction": "bottom", "offset": { "x": 0, "y": 10 } }
+*   }],
+*   "widgets": [{                                         // sliders, bar charts, text boxes and plots, made by their factory
+*     "type": "slider", "name": "slider-container-speed",
+*     "options": { "sliderName": "speed", "text": "Speed", "min": 0, "max": 10, "width": 200 },
+*     "pos": ..., "rot": ..., "scale": ..., "opacity": ..., "zOrder": ..., "parent": null, "bindPosition": null
+*   }]
+* }
+*
+* Only data is saved: event handlers, custom draw functions and onDataChange callbacks are not, and units a
+* widget made are saved as the widget. Plots can only be saved when made from an `expression` (see compileExpression).
+*/
+
+// unit attributes a scene stores, in this order
+const SCENE_UNIT_ATTRIBUTES = [
+    "pos", "size", "scale", "rot", "zOrder", "opacity", "colors", "text", "textAlign", "textStyles",
+    "borderRadius", "enableShadow", "shadowBlur", "shadowOffsetX", "shadowOffsetY", "imageFit",
+    "enabled", "tabIndex", "role", "ariaLabel", "ariaValueKey", "ariaValueMin", "ariaValueMax"
+];
+
+// attributes of a widget's root unit that are saved on top of its options
+const SCENE_WIDGET_ATTRIBUTES = ["pos", "rot", "scale", "opacity", "zOrder"];
+
+const SCENE_WIDGETS = {
+    slider: (context, options) => createSliderUnit(context, options).containerUnit,
+    barChart: (context, options) => createBarChart(context, options).chartUnit,
+    textBox: (context, options) => createTextBoxUnit(context, options).unit,
+    plot: (context, options) => createFunctionPlotUnit(context, options)
+};
+
+/**
+* Remembers how a widget was made, so serializeScene() can save it as one entry instead of its parts.
+* @param {Context} context 
+* @param {Set<Unit>} unitsBefore - context units from before the widget was built
+* @param {Unit} root - the unit that stands for the widget
+* @param {string} type - key of SCENE_WIDGETS
+* @param {Object} options - what the factory was called with
+*/
+function tagWidget(context, unitsBefore, root, type, options) {
+    root.widget = { type, options: { ...options } };
+    context._units
+        .filter(unit => unit !== root && !unitsBefore.has(unit))
+        .forEach(unit => unit.widgetRoot = root);
+}
+
+/**
+* Deep copy of a value with everything JSON can't hold (functions, DOM objects, ...) left out.
+* @returns {*} undefined when nothing is left
+*/
+function toSceneValue(value) {
+    if (value === null || typeof value === "string" || typeof value === "boolean") return value;
+    if (typeof value === "number") return Number.isFinite(value) ? value : undefined;
+    if (Array.isArray(value)) return value.map(toSceneValue).filter(v => v !== undefined);
+    // plain objects only (from any realm), class instances like units or images are not data
+    if (typeof value === "object" && Object.getPrototypeOf(Object.getPrototypeOf(value) ?? Object.prototype) === null) {
+        const copy = {};
+        for (const key in value) {
+            const v = toSceneValue(value[key]);
+            if (v !== undefined) copy[key] = v;
+        }
+        return copy;
+    }
+    return undefined;
+}
+
+/**
+* Compiles a math expression in x, like "sin(x / 20) * 30", into a function without eval, so scenes
+* never run code. Supports + - * / % ^ (power), parentheses, pi, e, and Math's functions (sin, sqrt, pow, ...).
+* @param {string} source 
+* @returns {function(number): number}
+*/
+function compileExpression(source) {
+    const tokens = source.match(/\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?|[A-Za-z_]\w*|\S/gi) ?? [];
+    let i = 0;
+    const fail = (message) => { throw Error(`Bad expression "${source}": ${message}`); };
+    const peek = () => tokens[i];
+    const take = (expected) => {
+        if (expected !== undefined && tokens[i] !== expected) fail(`expected "${expected}" but found "${tokens[i] ?? "end"}"`);
+        return tokens[i++];
+    };
+    const functions = ["sin", "cos", "tan", "asin", "acos", "atan", "atan2", "sinh", "cosh", "tanh", "sqrt", "cbrt",
+        "abs", "exp", "log", "log10", "log2", "pow", "min", "max", "floor", "ceil", "round", "sign", "hypot"];
+    const constants = { pi: Math.PI, e: Math.E };
+    const binary = { "+": (a, b) => a + b, "-": (a, b) => a - b, "*": (a, b) => a * b, "/": (a, b) => a / b, "%": (a, b) => a % b };
+
+    // each rule returns a function of x
+    const sum = () => {
+        let left = product();
+        while (peek() === "+" || peek() === "-") {
+            const op = binary[take()], l = left, r = product();
+            left = (x) => op(l(x), r(x));
+        }
+        return left;
+    };
+    const product = () => {
+        let left = unary();
+        while (peek() === "*" || peek() === "/" || peek() === "%") {
+            const op = binary[take()], l = left, r = unary();
+            left = (x) => op(l(x), r(x));
+        }
+        return left;
+    };
+    const unary = () => {
+        if (peek() === "-") {
+            take();
+            const operand = unary();
+            return (x) => -operand(x);
+        }
+        if (peek() === "+") take();
+        return power();
+    };
+    const power = () => {
+        const base = primary();
+        if (peek() !== "^") return base;
+        take();
+        const exponent = unary();
+        return (x) => Math.pow(base(x), exponent(x));
+    };
+    const primary = () => {
+        const token = take();
+        if (token === undefined) fail("unexpected end");
+        if (token === "(") {
+            const inner = sum();
+            take(")");
+            return inner;
+        }
+        if (/^[\d.]/.test(token)) {
+            const value = parseFloat(token);
+            return () => value;
+        }
+        const name = token.toLowerCase();
+        if (name === "x") return (x) => x;
+        if (name in constants) return () => constants[name];
+        if (functions.includes(name)) {
+            take("(");
+            const args = [sum()];
+            while (peek() === ",") {
+                take();
+                args.push(sum());
+            }
+            take(")");
+            const fn = Math[name];
+            return (x) => fn(...args.map(arg => arg(x)));
+        }
+        return fail(`unknown name "${token}"`);
+    };
+
+    const compiled = sum();
+    if (i < tokens.length) fail(`unexpected "${tokens[i]}"`);
+    return compiled;
+}
+
+//============================================================================================
+//                             STORE PERSISTENCE
+//============================================================================================
+
+/**
+* Whether a store key matches a pattern: a string where * matches anything ("slider-*::value"),
+* a RegExp, or a function of the key.
+* @param {string} key 
+* @param {string | RegExp | function(string): boolean} pattern 
+*/
+function matchesKeyPattern(key, pattern) {
+    if (typeof pattern === "function") return pattern(key);
+    if (pattern instanceof RegExp) return pattern.test(key);
+    const source = pattern.split("*").map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*");
+    return new RegExp("^" + source + "$").test(key);
+}
+
+/**
+* Keeps a JSON document in localStorage under one key.
+*/
+class LocalStorageBackend {
+    constructor(name) {
+        this.name = name;
+    }
+    
+    async read() {
+        const text = localStorage.getItem(this.name);
+        return text === null ? null : JSON.parse(text);
+    }
+    
+    async write(document) {
+        localStorage.setItem(this.name, JSON.stringify(document));
+    }
+    
+    async clear() {
+        localStorage.removeItem(this.name);
+    }
+}
+
+/**
+* Keeps a document in IndexedDB, for state too big for localStorage. One database per page,
+* documents are stored under their name.
+*/
+class IndexedDBBackend {
+    static DB_NAME = "animate-one";
+    static OBJECT_STORE = "stores";
+    
+    constructor(name) {
+        this.name = name;
+        /** @type {Promise<IDBDatabase> | null} */
+        this._db = null;
+    }
+    
+    _open() {
+        this._db = this._db ?? new Promise((resolve, reject) => {
+            const request = indexedDB.open(IndexedDBBackend.DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(IndexedDBBackend.OBJECT_STORE);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return this._db;
+    }
+    
+    async _request(mode, makeRequest) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const request = makeRequest(db.transaction(IndexedDBBackend.OBJECT_STORE, mode).objectStore(IndexedDBBackend.OBJECT_STORE));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    async read() {
+        return (await this._request("readonly", objects => objects.get(this.name))) ?? null;
+    }
+    
+    async write(document) {
+        await this._request("readwrite", objects => objects.put(document, this.name));
+    }
+    
+    async clear() {
+        await this._request("readwrite", objects => objects.delete(this.name));
+    }
+}
+
+/**
+* Keeps a document in the page's URL hash (#name=...), so the state can be shared as a link.
+* Other hash parameters are left alone and no history entries are added.
+*/
+class UrlHashBackend {
+    constructor(name) {
+        this.name = name;
+    }
+    
+    _params() {
+        return new URLSearchParams(location.hash.slice(1));
+    }
+    
+    _replaceHash(params) {
+        const hash = params.toString();
+        history.replaceState(history.state, "", location.pathname + location.search + (hash ? "#" + hash : ""));
+    }
+    
+    async read() {
+        const encoded = this._params().get(this.name);
+        return encoded === null ? null : JSON.parse(UrlHashBackend.decode(encoded));
+    }
+    
+    async write(document) {
+        const params = this._params();
+        params.set(this.name, UrlHashBackend.encode(JSON.stringify(document)));
+        this._replaceHash(params);
+    }
+    
+    async clear() {
+        const params = this._params();
+        params.delete(this.name);
+        this._replaceHash(params);
+    }
+    
+    // base64url of the UTF-8 bytes, short and safe in a URL
+    static encode(text) {
+        const bytes = new TextEncoder().encode(text);
+        let binary = "";
+        bytes.forEach(byte => binary += String.fromCharCode(byte));
+        return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+    }
+    
+    static decode(encoded) {
+        const binary = atob(encoded.replace(/-/g, "+").replace(/_/g, "/"));
+        return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+    }
+}
+
+/**
+* Saves chosen store keys somewhere that outlives the page and puts them back on the next visit.
+* Values are loaded once (see ready) and saved a moment after they change, only JSON-safe values are kept.
+*
+* Example:
+*   const persistence = new StorePersistence(store, {
+*       name: "lesson-3", include: ["*::value", "*::text"], version: 2,
+*       migrations: { 2: (data) => ({ ...data, "speed::value": data["speed"] }) }
+*   });
+*   await persistence.ready;
+*/
+class StorePersistence {
+    /**
+    * @param {DataStore} store 
+    * @param {Object} options
+    * @param {string} options.name - storage key, hash parameter or IndexedDB record name
+    * @param {'localStorage' | 'indexedDB' | 'url' | {read: Function, write: Function, clear: Function}} [options.storage]
+    * @param {(string | RegExp | function(string): boolean)[]} [options.include] - keys to keep (see matchesKeyPattern), all when empty
+    * @param {(string | RegExp | function(string): boolean)[]} [options.exclude] - keys never kept, wins over include
+    * @param {number} [options.version] - version of the saved data's shape
+    * @param {Object<number, function(Object): Object>} [options.migrations] - migrations[v] turns data saved as v - 1 into v
+    * @param {number} [options.saveDelay] - ms to wait for more changes before saving
+    */
+    constructor(store, { name, storage = "localStorage", include = [], exclude = [], version = 1, migrations = {}, saveDelay = 250 }) {
+        if (!name) throw Error("StorePersistence needs a name to save under");
+        this.store = store;
+        this.include = include;
+        this.exclude = exclude;
+        this.version = version;
+        this.migrations = migrations;
+        this.saveDelay = saveDelay;
+        
+        const backends = { localStorage: LocalStorageBackend, indexedDB: IndexedDBBackend, url: UrlHashBackend };
+        if (typeof storage === "string" && !backends[storage]) throw Error("Unknown persistence storage: " + storage);
+        this.backend = typeof storage === "string" ? new backends[storage](name) : storage;
+        
+        this._saveTimer = null;
+        this._onStoreChange = (key) => {
+            if (this.matches(key)) this.scheduleSave();
+        };
+        this._disposed = false;
+        
+        /** @type {Promise<void>} settles once saved values are back in the store and changes are being saved */
+        this.ready = this.load().finally(() => {
+            if (!this._disposed) this.store.onAnyChange(this._onStoreChange);
+        });
+    }
+    
+    /**
+    * @param {string} key 
+    * @returns {boolean} whether key is saved
+    */
+    matches(key) {
+        if (this.exclude.some(pattern => matchesKeyPattern(key, pattern))) return false;
+        return this.include.length === 0 || this.include.some(pattern => matchesKeyPattern(key, pattern));
+    }
+    
+    /**
+    * Brings saved data up to this.version.
+    * @param {{version: number, data: Object}} saved 
+    * @returns {Object | null} null when it can't be brought up to date
+    */
+    migrate({ version, data }) {
+        if (version > this.version) {
+            console.warn(`Saved state is version ${version}, newer than ${this.version}, ignoring it`);
+            return null;
+        }
+        for (let next = version + 1; next <= this.version; next++) {
+            if (!this.migrations[next]) {
+                console.warn(`No migration to version ${next} for saved state, ignoring it`);
+                return null;
+            }
+            data = this.migrations[next](data);
+        }
+        return data;
+    }
+    
+    /**
+    * Reads saved values and puts them in the store (see DataStore.restore). A failed read (no storage, bad data),
+    * migration or restore (a throwing listener) only warns, so `ready` always resolves.
+    */
+    async load() {
+        let saved;
+        try {
+            saved = await this.backend.read();
+        } catch (e) {
+            console.warn("Could not read saved state:", e);
+            return;
+        }
+        if (!saved || this._disposed) return;
+        
+        try {
+            const data = this.migrate(saved);
+            if (!data) return;
+            // restored rather than set, saved values hold even where widgets derive one key from another
+            // (a slider's value from its text box)
+            const values = {};
+            for (const key in data) {
+                if (this.matches(key) && !this.store.isComputed(key)) values[key] = data[key];
+            }
+            this.store.restore(values);
+        } catch (e) {
+            console.warn("Could not restore saved state:", e);
+        }
+    }
+    
+    /**
+    * The document that would be saved right now.
+    * @returns {{version: number, savedAt: number, data: Object}}
+    */
+    snapshot() {
+        const data = {};
+        this.store.entries()
+            .filter(([key]) => this.matches(key))
+            .forEach(([key, value]) => {
+                value = toSceneValue(value);
+                if (value !== undefined) data[key] = value;
+            });
+        return { version: this.version, savedAt: Date.now(), data };
+    }
+    
+    scheduleSave() {
+        clearTimeout(this._saveTimer);
+        this._saveTimer = setTimeout(() => this.save(), this.saveDelay);
+    }
+    
+    async save() {
+        clearTimeout(this._saveTimer);
+        this._saveTimer = null;
+        try {
+            await this.backend.write(this.snapshot());
+        } catch (e) {
+            console.warn("Could not save state:", e);
+        }
+    }
+    
+    /**
+    * Forgets what was saved, the store keeps its values.
+    */
+    async clear() {
+        clearTimeout(this._saveTimer);
+        this._saveTimer = null;
+        await this.backend.clear();
+    }
+    
+    /**
+    * Stops saving, a save that was waiting happens right away.
+    */
+    async dispose() {
+        this._disposed = true;
+        this.store.removeOnAnyChange(this._onStoreChange);
+        if (this._saveTimer !== null) await this.save();
+    }
+}
+
+//============================================================================================
+//                             STORE SYNC
+//============================================================================================
+
+/**
+* Keeps chosen keys equal across several stores: sketches on the same page, and through a
+* BroadcastChannel the links of the same name in other tabs. When two changes to a key race, the one
+* with the later timestamp wins everywhere (ties go to the higher peer id), so every copy settles on the same value.
+* Only JSON-safe values are linked. Incoming values are restored (see DataStore.restore), not recorded in history.
+*
+* Example:
+*   // slider in one sketch, plot in another
+*   StoreLink.join("lesson-3", sliderSketchStore, { keys: ["speed::value"] });
+*   StoreLink.join("lesson-3", plotSketchStore, { keys: ["speed::value"] });
+*/
+class StoreLink {
+    /** @type {Map<string, StoreLink>} open links by name */
+    static links = new Map();
+    
+    /**
+    * Adds a store to the link with this name, opening it with options if it isn't open yet.
+    * @param {string} name 
+    * @param {DataStore} store 
+    * @param {Object} [options] - as the constructor, ignored when the link is already open
+    * @returns {StoreLink}
+    */
+    static join(name, store, options) {
+        const link = StoreLink.links.get(name) ?? new StoreLink(name, options);
+        link.add(store);
+        return link;
+    }
+    
+    /**
+    * @param {string} name - links with the same name (in any tab) share values
+    * @param {Object} [options]
+    * @param {(string | RegExp | function(string): boolean)[]} [options.keys] - keys to link (see matchesKeyPattern), all when empty
+    * @param {(string | RegExp | function(string): boolean)[]} [options.exclude] - keys never linked, the context's own keys never are
+    * @param {boolean} [options.crossTab] - also link with other tabs, when BroadcastChannel exists
+    */
+    constructor(name, { keys = [], exclude = [], crossTab = true } = {}) {
+        if (StoreLink.links.has(name)) throw Error("A store link with this name is already open: " + name);
+        StoreLink.links.set(name, this);
+        this.name = name;
+        this.keys = keys;
+        this.exclude = [...exclude, "CONTEXT*"];
+        /** @type {string} breaks timestamp ties, unique per link per tab */
+        this.peerId = Math.random().toString(36).slice(2) + Date.now().toString(36);
+        
+        /** @type {Map<DataStore, function(string, *): void>} linked stores and their change listeners */
+        this._stores = new Map();
+        /** @type {Map<string, {json: string, time: number, peer: string}>} value every linked store holds, per key */
+        this._shared = new Map();
+        
+        this._channel = null;
+        if (crossTab && typeof BroadcastChannel !== 'undefined') {
+            this._channel = new BroadcastChannel("animate-one-link::" + name);
+            this._channel.onmessage = (event) => this._receive(event.data);
+            // tabs already on the link answer with what they hold
+            this._channel.postMessage({ type: "hello", peer: this.peerId });
+        }
+    }
+    
+    /**
+    * @param {string} key 
+    * @returns {boolean} whether key is linked
+    */
+    matches(key) {
+        if (this.exclude.some(pattern => matchesKeyPattern(key, pattern))) return false;
+        return this.keys.length === 0 || this.keys.some(pattern => matchesKeyPattern(key, pattern));
+    }
+    
+    /**
+    * Links a store. It takes the values the link already holds, its other linked keys are shared with everyone
+    * as defaults: stamped with time 0, so values other tabs already hold win over them.
+    * @param {DataStore} store 
+    */
+    add(store) {
+        if (this._stores.has(store)) return;
+        const onChange = (key, value) => this._onLocalChange(key, value);
+        this._stores.set(store, onChange);
+        
+        this._restoreInto(store, [...this._shared.keys()]);
+        store.entries()
+            .filter(([key]) => this.matches(key) && !this._shared.has(key))
+            .forEach(([key, value]) => this._onLocalChange(key, value, true));
+        store.onAnyChange(onChange);
+    }
+    
+    /**
+    * Unlinks a store, it keeps its current values. The link closes with its last store.
+    * @param {DataStore} store 
+    */
+    remove(store) {
+        const onChange = this._stores.get(store);
+        if (!onChange) return;
+        store.removeOnAnyChange(onChange);
+        this._stores.delete(store);
+        if (this._stores.size === 0) this.close();
+    }
+    
+    /**
+    * Unlinks every store and leaves the other tabs.
+    */
+    close() {
+        [...this._stores.keys()].forEach(store => this.remove(store));
+        this._channel?.close();
+        this._channel = null;
+        if (StoreLink.links.get(this.name) === this) StoreLink.links.delete(this.name);
+    }
+    
+    _onLocalChange(key, value, isDefault = false) {
+        if (!this.matches(key)) return;
+        value = toSceneValue(value);
+        if (value === undefined) return;
+        const json = JSON.stringify(value);
+        const current = this._shared.get(key);
+        // our own restores coming back, or a set that changes nothing
+        if (current?.json === json) return;
+        
+        // never older than what it replaces, so it wins against the value it overwrote even within the same ms
+        const time = isDefault ? 0 : Math.max(Date.now(), (current?.time ?? 0) + 1);
+        this._accept(key, json, time, this.peerId);
+        this._channel?.postMessage({ type: "set", key, json, time, peer: this.peerId });
+    }
+    
+    _receive(message) {
+        if (message.type === "hello") {
+            const entries = [...this._shared].map(([key, { json, time, peer }]) => ({ key, json, time, peer }));
+            this._channel?.postMessage({ type: "state", entries });
+        } else if (message.type === "state") {
+            message.entries.forEach(({ key, json, time, peer }) => this._accept(key, json, time, peer));
+        } else if (message.type === "set") {
+            this._accept(message.key, message.json, message.time, message.peer);
+        }
+    }
+    
+    /**
+    * Takes a value if it is newer than the one held, and puts it in every linked store that doesn't have it.
+    * @returns {boolean} whether it was taken
+    */
+    _accept(key, json, time, peer) {
+        if (!this.matches(key)) return false;
+        const current = this._shared.get(key);
+        if (current && (current.time > time || (current.time === time && current.peer >= peer))) return false;
+        this._shared.set(key, { json, time, peer });
+        this._stores.forEach((onChange, store) => this._restoreInto(store, [key]));
+        return true;
+    }
+    
+    _restoreInto(store, keys) {
+        const current = new Map(store.entries());
+        const values = {};
+        keys.forEach(key => {
+            // a computed key is worked out by each store itself
+            if (store.isComputed(key)) return;
+            const { json } = this._shared.get(key);
+            if (JSON.stringify(toSceneValue(current.get(key))) !== json) values[key] = JSON.parse(json);
+        });
+        if (Object.keys(values).length) store.restore(values);
+    }
+}
+
+//============================================================================================
+//                             VECTOR EXPORT
+//============================================================================================
+
+/**
+* Stand-in 2d context that turns drawing calls into a list of vector items (paths, text, images) instead
+* of pixels. Units draw on it exactly as on the canvas (see Context.describeFrame), and the list is then
+* written out as SVG or PDF. Path points are stored in canvas space as they are added, like a real context
+* does; text and images keep the transform they were drawn under.
+*/
+class VectorContext2D {
+    /**
+    * @param {CanvasRenderingContext2D | null} [measurer] - real context to measure text with, so line wrapping
+    *   matches the canvas, otherwise widths are approximated from the font size
+    */
+    constructor(measurer = null) {
+        this._measurer = measurer;
+        /** @type {Object[]} drawn items in paint order */
+        this.items = [];
+        /** @type {{id: string, d: string, parent: string | null}[]} */
+        this.clips = [];
+        this._path = [];
+        this._current = null;
+        this._state = VectorContext2D.defaultState();
+        this._stack = [];
+    }
+
+    static defaultState() {
+        return {
+            transform: { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 },
+            fillStyle: "#000000", strokeStyle: "#000000", lineWidth: 1, lineCap: "butt", lineJoin: "miter",
+            lineDash: [], font: "10px sans-serif", textAlign: "start", textBaseline: "alphabetic", globalAlpha: 1,
+            shadowBlur: 0, shadowColor: "rgba(0, 0, 0, 0)", shadowOffsetX: 0, shadowOffsetY: 0, clip: null
+        };
+    }
+
+    //========================== state ==========================
+
+    save() {
+        this._stack.push({ ...this._state });
+    }
+
+    restore() {
+        if (this._stack.length) this._state = this._stack.pop();
+    }
+
+    translate(x, y) {
+        this.transform(1, 0, 0, 1, x, y);
+    }
+
+    rotate(angle) {
+        const cos = Math.cos(angle), sin = Math.sin(angle);
+        this.transform(cos, sin, -sin, cos, 0, 0);
+    }
+
+    scale(x, y) {
+        this.transform(x, 0, 0, y, 0, 0);
+    }
+
+    transform(a, b, c, d, e, f) {
+        this._state.transform = multiplyTransform(this._state.transform, { a, b, c, d, e, f });
+    }
+
+    setTransform(a, b, c, d, e, f) {
+        this._state.transform = typeof a === "object" ? { ...a } : { a, b, c, d, e, f };
+    }
+
+    resetTransform() {
+        this.setTransform(1, 0, 0, 1, 0, 0);
+    }
+
+    getTransform() {
+        return { ...this._state.transform };
+    }
+
+    setLineDash(segments) {
+        this._state.lineDash = [...segments];
+    }
+
+    getLineDash() {
+        return [...this._state.lineDash];
+    }
+
+    //========================== paths ==========================
+
+    _point(x, y) {
+        return applyTransform(this._state.transform, x, y);
+    }
+
+    beginPath() {
+        this._path = [];
+        this._current = null;
+    }
+
+    closePath() {
+        this._path.push({ op: "Z", points: [] });
+    }
+
+    moveTo(x, y) {
+        const p = this._point(x, y);
+        this._path.push({ op: "M", points: [p] });
+        this._current = p;
+    }
+
+    lineTo(x, y) {
+        const p = this._point(x, y);
+        this._path.push({ op: this._current ? "L" : "M", points: [p] });
+        this._current = p;
+    }
+
+    quadraticCurveTo(cpx, cpy, x, y) {
+        if (!this._current) this.moveTo(cpx, cpy);
+        const p = this._point(x, y);
+        this._path.push({ op: "Q", points: [this._point(cpx, cpy), p] });
+        this._current = p;
+    }
+
+    bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+        if (!this._current) this.moveTo(cp1x, cp1y);
+        const p = this._point(x, y);
+        this._path.push({ op: "C", points: [this._point(cp1x, cp1y), this._point(cp2x, cp2y), p] });
+        this._current = p;
+    }
+
+    rect(x, y, width, height) {
+        this.moveTo(x, y);
+        this.lineTo(x + width, y);
+        this.lineTo(x + width, y + height);
+        this.lineTo(x, y + height);
+        this.closePath();
+    }
+
+    arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+        this.ellipse(x, y, radius, radius, 0, startAngle, endAngle, counterclockwise);
+    }
+
+    ellipse(x, y, radiusX, radiusY, rotation, startAngle, endAngle, counterclockwise = false) {
+        let sweep = endAngle - startAngle;
+        if (counterclockwise) {
+            if (sweep > 0) sweep = sweep % (2 * Math.PI) - 2 * Math.PI;
+        } else if (sweep < 0) {
+            sweep = sweep % (2 * Math.PI) + 2 * Math.PI;
+        }
+        sweep = Math.max(-2 * Math.PI, Math.min(2 * Math.PI, sweep));
+
+        // cubic bezier per quarter turn (or less), on the unit circle mapped into place
+        const cos = Math.cos(rotation), sin = Math.sin(rotation);
+        const onEllipse = (angle) => {
+            const px = radiusX * Math.cos(angle), py = radiusY * Math.sin(angle);
+            return [x + px * cos - py * sin, y + px * sin + py * cos];
+        };
+        const segments = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2)));
+        const step = sweep / segments;
+        const k = 4 / 3 * Math.tan(step / 4);
+
+        const [sx, sy] = onEllipse(startAngle);
+        this.lineTo(sx, sy);
+        for (let i = 0; i < segments; i++) {
+            const a0 = startAngle + i * step, a1 = a0 + step;
+            const tangent = (angle, sign) => {
+                const px = -radiusX * Math.sin(angle) * k * sign, py = radiusY * Math.cos(angle) * k * sign;
+                return [px * cos - py * sin, px * sin + py * cos];
+            };
+            const [x0, y0] = onEllipse(a0), [x1, y1] = onEllipse(a1);
+            const [t0x, t0y] = tangent(a0, 1), [t1x, t1y] = tangent(a1, -1);
+            this.bezierCurveTo(x0 + t0x, y0 + t0y, x1 + t1x, y1 + t1y, x1, y1);
+        }
+    }
+
+    //========================== painting ==========================
+
+    // what every painted item carries from the current state
+    _paintState() {
+        const s = this._state;
+        return {
+            alpha: s.globalAlpha,
+            clip: s.clip,
+            shadow: s.shadowColor && parseColor(s.shadowColor)?.a !== 0 && (s.shadowBlur || s.shadowOffsetX || s.shadowOffsetY)
+                ? { color: s.shadowColor, blur: s.shadowBlur, x: s.shadowOffsetX, y: s.shadowOffsetY }
+                : null
+        };
+    }
+
+    // stroke widths are given in user space, paths are stored in canvas space
+    _lineWidth() {
+        const { a, b, c, d } = this._state.transform;
+        return this._state.lineWidth * Math.sqrt(Math.abs(a * d - b * c));
+    }
+
+    fill() {
+        if (!this._path.length) return;
+        this.items.push({ type: "path", segments: [...this._path], fill: this._state.fillStyle, ...this._paintState() });
+    }
+
+    stroke() {
+        if (!this._path.length) return;
+        const s = this._state;
+        this.items.push({
+            type: "path", segments: [...this._path], stroke: s.strokeStyle, lineWidth: this._lineWidth(),
+            lineCap: s.lineCap, lineJoin: s.lineJoin, lineDash: s.lineDash, ...this._paintState()
+        });
+    }
+
+    clip() {
+        const id = "clip" + this.clips.length;
+        this.clips.push({ id, segments: [...this._path], parent: this._state.clip });
+        this._state.clip = id;
+    }
+
+    fillRect(x, y, width, height) {
+        const path = this._path, current = this._current;
+        this.beginPath();
+        this.rect(x, y, width, height);
+        this.fill();
+        this._path = path;
+        this._current = current;
+    }
+
+    strokeRect(x, y, width, height) {
+        const path = this._path, current = this._current;
+        this.beginPath();
+        this.rect(x, y, width, height);
+        this.stroke();
+        this._path = path;
+        this._current = current;
+    }
+
+    // vector output has no pixels to clear
+    clearRect() {}
+
+    //========================== text and images ==========================
+
+    /**
+    * @param {string} font - CSS font shorthand as made by createTextStyle
+    * @returns {{style: string, weight: string, size: number, family: string}}
+    */
+    static parseFont(font) {
+        const match = /^(.*?)(\d+(?:\.\d+)?)px(?:\/\S+)?\s+(.+)$/.exec(font.trim());
+        if (!match) return { style: "normal", weight: "normal", size: 10, family: "sans-serif" };
+        const words = match[1].trim().split(/\s+/);
+        return {
+            style: words.find(w => w === "italic" || w === "oblique") ?? "normal",
+            weight: words.find(w => /^(bold|bolder|lighter|\d00)$/.test(w)) ?? "normal",
+            size: parseFloat(match[2]),
+            family: match[3]
+        };
+    }
+
+    measureText(text) {
+        if (this._measurer) {
+            const previous = this._measurer.font;
+            this._measurer.font = this._state.font;
+            const metrics = this._measurer.measureText(text);
+            this._measurer.font = previous;
+            return metrics;
+        }
+        return { width: String(text).length * VectorContext2D.parseFont(this._state.font).size * 0.6 };
+    }
+
+    _text(text, x, y, paint) {
+        const s = this._state;
+        this.items.push({
+            type: "text", text: String(text), x, y, transform: { ...s.transform },
+            font: VectorContext2D.parseFont(s.font), align: s.textAlign, baseline: s.textBaseline,
+            width: this.measureText(String(text)).width, ...paint, ...this._paintState()
+        });
+    }
+
+    fillText(text, x, y) {
+        this._text(text, x, y, { fill: this._state.fillStyle });
+    }
+
+    strokeText(text, x, y) {
+        this._text(text, x, y, { stroke: this._state.strokeStyle, lineWidth: this._state.lineWidth });
+    }
+
+    drawImage(image, ...args) {
+        const naturalWidth = image.naturalWidth || image.width;
+        const naturalHeight = image.naturalHeight || image.height;
+        let [sx, sy, sw, sh] = [0, 0, naturalWidth, naturalHeight];
+        let dx, dy, dw, dh;
+        if (args.length >= 8) [sx, sy, sw, sh, dx, dy, dw, dh] = args;
+        else [dx, dy, dw = naturalWidth, dh = naturalHeight] = args;
+
+        if (args.length >= 8) {
+            // only the source rect is shown: clip to where it lands
+            this.save();
+            const path = this._path, current = this._current;
+            this.beginPath();
+            this.rect(dx, dy, dw, dh);
+            this.clip();
+            this._path = path;
+            this._current = current;
+        }
+        // image pixels -> canvas: place the source rect onto the destination rect
+        const placement = multiplyTransform(this._state.transform, {
+            a: dw / sw, b: 0, c: 0, d: dh / sh, e: dx - sx * dw / sw, f: dy - sy * dh / sh
+        });
+        this.items.push({ type: "image", image, width: naturalWidth, height: naturalHeight, transform: placement, ...this._paintState() });
+        if (args.length >= 8) this.restore();
+    }
+
+    //========================== properties ==========================
+
+    get fillStyle() { return this._state.fillStyle; }
+    set fillStyle(value) { this._state.fillStyle = value; }
+    get strokeStyle() { return this._state.strokeStyle; }
+    set strokeStyle(value) { this._state.strokeStyle = value; }
+    get lineWidth() { return this._state.lineWidth; }
+    set lineWidth(value) { this._state.lineWidth = value; }
+    get lineCap() { return this._state.lineCap; }
+    set lineCap(value) { this._state.lineCap = value; }
+    get lineJoin() { return this._state.lineJoin; }
+    set lineJoin(value) { this._state.lineJoin = value; }
+    get font() { return this._state.font; }
+    set font(value) { this._state.font = value; }
+    get textAlign() { return this._state.textAlign; }
+    set textAlign(value) { this._state.textAlign = value; }
+    get textBaseline() { return this._state.textBaseline; }
+    set textBaseline(value) { this._state.textBaseline = value; }
+    get globalAlpha() { return this._state.globalAlpha; }
+    set globalAlpha(value) { this._state.globalAlpha = value; }
+    get shadowBlur() { return this._state.shadowBlur; }
+    set shadowBlur(value) { this._state.shadowBlur = value; }
+    get shadowColor() { return this._state.shadowColor; }
+    set shadowColor(value) { this._state.shadowColor = value; }
+    get shadowOffsetX() { return this._state.shadowOffsetX; }
+    set shadowOffsetX(value) { this._state.shadowOffsetX = value; }
+    get shadowOffsetY() { return this._state.shadowOffsetY; }
+    set shadowOffsetY(value) { this._state.shadowOffsetY = value; }
+}
+
+//numbers in exported documents, rounded so files stay small and stable
+function formatVectorNumber(value) {
+    return String(Math.round(value * 1000) / 1000);
+}
+
+/**
+* Path segments in SVG path syntax.
+*/
+function segmentsToSvgPath(segments) {
+    return segments.map(({ op, points }) => op + points.map(p => formatVectorNumber(p.x) + " " + formatVectorNumber(p.y)).join(" ")).join("");
+}
+
+function escapeXml(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" })[ch]);
+}
+
+/**
+* Best effort data: URL for an image so exports don't depend on the original URL (cross origin images can't be read).
+* @returns {string}
+*/
+function imageToDataURL(image, type = "image/png") {
+    if (typeof image.src === "string" && image.src.startsWith("data:") && type === "image/png") return image.src;
+    if (typeof document === "undefined") return image.src ?? "";
+    try {
+        const canvas = document.createElement("canvas");
+        canvas.width = image.naturalWidth || image.width;
+        canvas.height = image.naturalHeight || image.height;
+        const ctx = canvas.getContext("2d");
+        // jpeg has no alpha, put it on white like a printed page
+        if (type === "image/jpeg") {
+            ctx.fillStyle = "white";
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+        }
+        ctx.drawImage(image, 0, 0);
+        return canvas.toDataURL(type);
+    } catch (e) {
+        return image.src ?? "";
+    }
+}
+
+/**
+* Writes a frame description (Context.describeFrame) as an SVG document.
+* @param {{width: number, height: number, items: Object[], clips: Object[]}} frame 
+* @returns {string}
+*/
+function frameToSVG({ width, height, items, clips }) {
+    const n = formatVectorNumber;
+    const defs = [];
+    const body = [];
+
+    for (const clip of clips) {
+        const parent = clip.parent ? ` clip-path="url(#${clip.parent})"` : "";
+        defs.push(`<clipPath id="${clip.id}"${parent}><path d="${segmentsToSvgPath(clip.segments)}"/></clipPath>`);
+    }
+
+    // "#f00" / "rgba(...)" -> fill + fill-opacity, which every SVG reader understands
+    const paint = (attribute, color) => {
+        const parsed = parseColor(color);
+        if (!parsed) return typeof color === "string" ? ` ${attribute}="${escapeXml(color)}"` : ` ${attribute}="none"`;
+        const rgb = `rgb(${Math.round(parsed.r)},${Math.round(parsed.g)},${Math.round(parsed.b)})`;
+        return ` ${attribute}="${rgb}"` + (parsed.a < 1 ? ` ${attribute}-opacity="${n(parsed.a)}"` : "");
+    };
+    const matrix = (m) => `matrix(${[m.a, m.b, m.c, m.d, m.e, m.f].map(n).join(",")})`;
+    const anchors = { left: "start", start: "start", center: "middle", right: "end", end: "end" };
+    const baselines = { top: "text-before-edge", hanging: "hanging", middle: "central", bottom: "text-after-edge", ideographic: "ideographic" };
+
+    items.forEach((item, i) => {
+        let element;
+        if (item.type === "path") {
+            element = `<path d="${segmentsToSvgPath(item.segments)}"`
+                + (item.fill !== undefined ? paint("fill", item.fill) : ` fill="none"`)
+                + (item.stroke !== undefined
+                    ? paint("stroke", item.stroke) + ` stroke-width="${n(item.lineWidth)}" stroke-linecap="${item.lineCap}" stroke-linejoin="${item.lineJoin}"`
+                        + (item.lineDash.length ? ` stroke-dasharray="${item.lineDash.map(n).join(" ")}"` : "")
+                    : "")
+                + `/>`;
+        } else if (item.type === "text") {
+            const { font } = item;
+            element = `<text x="${n(item.x)}" y="${n(item.y)}" transform="${matrix(item.transform)}"`
+                + ` font-family="${escapeXml(font.family)}" font-size="${n(font.size)}" font-weight="${font.weight}" font-style="${font.style}"`
+                + ` text-anchor="${anchors[item.align] ?? "start"}"`
+                + (baselines[item.baseline] ? ` dominant-baseline="${baselines[item.baseline]}"` : "")
+                + (item.fill !== undefined ? paint("fill", item.fill) : ` fill="none"`)
+                + (item.stroke !== undefined ? paint("stroke", item.stroke) + ` stroke-width="${n(item.lineWidth)}"` : "")
+                + ` xml:space="preserve">${escapeXml(item.text)}</text>`;
+        } else {
+            element = `<image href="${escapeXml(imageToDataURL(item.image))}" width="${n(item.width)}" height="${n(item.height)}"`
+                + ` transform="${matrix(item.transform)}" preserveAspectRatio="none"/>`;
+        }
+
+        if (item.shadow) {
+            const id = "shadow" + i;
+            const color = parseColor(item.shadow.color);
+            defs.push(`<filter id="${id}" x="-50%" y="-50%" width="200%" height="200%">`
+                + `<feDropShadow dx="${n(item.shadow.x)}" dy="${n(item.shadow.y)}" stdDeviation="${n(item.shadow.blur / 2)}"`
+                + ` flood-color="${color ? `rgb(${color.r},${color.g},${color.b})` : "black"}" flood-opacity="${n(color ? color.a : 1)}"/></filter>`);
+            element = `<g filter="url(#${id})">${element}</g>`;
+        }
+        // clips and opacity go on a wrapper, in canvas space rather than the element's own transform
+        if (item.alpha < 1) element = `<g opacity="${n(item.alpha)}">${element}</g>`;
+        if (item.clip) element = `<g clip-path="url(#${item.clip})">${element}</g>`;
+        body.push(element);
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${n(width)}" height="${n(height)}" viewBox="0 0 ${n(width)} ${n(height)}">\n`
+        + (defs.length ? `<defs>\n${defs.join("\n")}\n</defs>\n` : "")
+        + body.join("\n")
+        + `\n</svg>\n`;
+}
+
+/**
+* Writes a frame description (Context.describeFrame) as a one page PDF, 1 CSS pixel = 0.75 pt (96 dpi).
+* Text uses the standard PDF fonts closest to the CSS family, images are embedded as JPEG when they can be
+* read (browser, same origin), shadows are left out.
+* @param {{width: number, height: number, items: Object[], clips: Object[]}} frame 
+* @returns {Uint8Array}
+*/
+function frameToPDF({ width, height, items, clips }) {
+    const n = formatVectorNumber;
+    const clipsById = new Map(clips.map(clip => [clip.id, clip]));
+    const fonts = new Map();
+    const alphas = new Map();
+    const images = [];
+    const ops = [];
+
+    const pathOps = (segments) => {
+        let last = { x: 0, y: 0 }, subpathStart = last;
+        return segments.map(({ op, points }) => {
+            const p = points.map(q => n(q.x) + " " + n(q.y));
+            let line;
+            if (op === "M") line = p[0] + " m";
+            else if (op === "L") line = p[0] + " l";
+            else if (op === "C") line = p.join(" ") + " c";
+            else if (op === "Q") {
+                // PDF only has cubics, raise the quadratic
+                const [cp, end] = points;
+                const c1 = { x: last.x + 2 / 3 * (cp.x - last.x), y: last.y + 2 / 3 * (cp.y - last.y) };
+                const c2 = { x: end.x + 2 / 3 * (cp.x - end.x), y: end.y + 2 / 3 * (cp.y - end.y) };
+                line = [c1, c2, end].map(q => n(q.x) + " " + n(q.y)).join(" ") + " c";
+            } else line = "h";
+            if (op === "M") subpathStart = points[0];
+            last = op === "Z" ? subpathStart : points[points.length - 1];
+            return line;
+        }).join("\n");
+    };
+    const color = (value, operator) => {
+        const parsed = parseColor(value) ?? { r: 0, g: 0, b: 0, a: 1 };
+        return { op: [parsed.r, parsed.g, parsed.b].map(c => n(c / 255)).join(" ") + " " + operator, alpha: parsed.a };
+    };
+    const alphaState = (alpha) => {
+        const key = n(alpha);
+        if (!alphas.has(key)) alphas.set(key, "GS" + alphas.size);
+        return `/${alphas.get(key)} gs`;
+    };
+    const fontName = ({ family, weight, style }) => {
+        const lower = family.toLowerCase();
+        const base = /mono|courier/.test(lower) ? "Courier"
+            : (/serif|times|georgia/.test(lower) && !/sans/.test(lower)) ? "Times" : "Helvetica";
+        const bold = weight === "bold" || weight === "bolder" || parseInt(weight) >= 600;
+        const italic = style !== "normal";
+        const suffix = (bold ? "Bold" : "") + (italic ? (base === "Times" ? "Italic" : "Oblique") : "");
+        const name = base === "Times" ? (suffix ? `Times-${suffix}` : "Times-Roman") : (suffix ? `${base}-${suffix}` : base);
+        if (!fonts.has(name)) fonts.set(name, "F" + fonts.size);
+        return fonts.get(name);
+    };
+    // standard fonts only cover Latin-1 (WinAnsi)
+    const pdfString = (text) => "(" + [...text].map(ch => ch.charCodeAt(0) > 255 ? "?" : ch)
+        .join("").replace(/[\\()]/g, "\\$&") + ")";
+    const clipChain = (id) => {
+        const chain = [];
+        for (let clip = clipsById.get(id); clip; clip = clipsById.get(clip.parent)) chain.unshift(clip);
+        return chain;
+    };
+
+    for (const item of items) {
+        ops.push("q");
+        clipChain(item.clip).forEach(clip => ops.push(pathOps(clip.segments), "W n"));
+
+        if (item.type === "path") {
+            const paints = [];
+            if (item.fill !== undefined) paints.push(color(item.fill, "rg"));
+            if (item.stroke !== undefined) {
+                paints.push(color(item.stroke, "RG"));
+                ops.push(`${n(item.lineWidth)} w`, `${{ butt: 0, round: 1, square: 2 }[item.lineCap] ?? 0} J`,
+                    `${{ miter: 0, round: 1, bevel: 2 }[item.lineJoin] ?? 0} j`,
+                    `[${item.lineDash.map(n).join(" ")}] 0 d`);
+            }
+            paints.forEach(paint => ops.push(paint.op));
+            ops.push(alphaState(item.alpha * Math.min(...paints.map(paint => paint.alpha))));
+            ops.push(pathOps(item.segments), item.fill !== undefined && item.stroke !== undefined ? "B" : item.fill !== undefined ? "f" : "S");
+        } else if (item.type === "text") {
+            const { font, transform: m } = item;
+            const paint = color(item.fill ?? item.stroke, item.fill !== undefined ? "rg" : "RG");
+            const shift = { start: 0, left: 0, center: -0.5, right: -1, end: -1 }[item.align] ?? 0;
+            // canvas baselines relative to the alphabetic one, in font sizes
+            const drop = { top: 0.8, hanging: 0.8, middle: 0.3, alphabetic: 0, ideographic: -0.2, bottom: -0.2 }[item.baseline] ?? 0;
+            ops.push(`${[m.a, m.b, m.c, m.d, m.e, m.f].map(n).join(" ")} cm`, paint.op, alphaState(item.alpha * paint.alpha));
+            if (item.stroke !== undefined) ops.push(`${n(item.lineWidth)} w`);
+            // the page is flipped to y-down, flip glyphs back up
+            ops.push("BT", `/${fontName(font)} ${n(font.size)} Tf`, item.fill !== undefined ? "0 Tr" : "1 Tr",
+                `1 0 0 -1 ${n(item.x + shift * item.width)} ${n(item.y + drop * font.size)} Tm`,
+                `${pdfString(item.text)} Tj`, "ET");
+        } else {
+            const url = imageToDataURL(item.image, "image/jpeg");
+            if (url.startsWith("data:image/jpeg;base64,")) {
+                const bytes = Uint8Array.from(atob(url.slice(url.indexOf(",") + 1)), ch => ch.charCodeAt(0));
+                const name = "Im" + images.length;
+                images.push({ name, bytes, width: item.image.naturalWidth || item.image.width, height: item.image.naturalHeight || item.image.height });
+                const m = item.transform;
+                // image space is a unit square with y up
+                ops.push(`${[m.a, m.b, m.c, m.d, m.e, m.f].map(n).join(" ")} cm`, alphaState(item.alpha),
+                    `${n(item.width)} 0 0 ${n(-item.height)} 0 ${n(item.height)} cm`, `/${name} Do`);
+            }
+        }
+        ops.push("Q");
+    }
+
+    // 1 CSS px = 0.75 pt, y flipped so the drawing can stay in canvas coordinates
+    const content = `0.75 0 0 -0.75 0 ${n(height * 0.75)} cm\n` + ops.join("\n");
+
+    const objects = [];
+    const add = (body) => {
+        objects.push(body);
+        return objects.length;
+    };
+    const catalog = add(null);
+    const pages = add(null);
+    const fontRefs = [...fonts].map(([name, id]) => `/${id} ${add(`<< /Type /Font /Subtype /Type1 /BaseFont /${name} /Encoding /WinAnsiEncoding >>`)} 0 R`);
+    const alphaRefs = [...alphas].map(([alpha, id]) => `/${id} ${add(`<< /Type /ExtGState /ca ${alpha} /CA ${alpha} >>`)} 0 R`);
+    const imageRefs = images.map(image => `/${image.name} ${add([
+        `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.bytes.length} >>\nstream\n`,
+        image.bytes,
+        "\nendstream"
+    ])} 0 R`);
+    const contents = add(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    const page = add(`<< /Type /Page /Parent ${pages} 0 R /MediaBox [0 0 ${n(width * 0.75)} ${n(height * 0.75)}] /Contents ${contents} 0 R`
+        + ` /Resources << /Font << ${fontRefs.join(" ")} >> /ExtGState << ${alphaRefs.join(" ")} >> /XObject << ${imageRefs.join(" ")} >> >> >>`);
+    objects[catalog - 1] = `<< /Type /Catalog /Pages ${pages} 0 R >>`;
+    objects[pages - 1] = `<< /Type /Pages /Kids [${page} 0 R] /Count 1 >>`;
+
+    // everything but image data is ASCII, written one byte per char
+    const chunks = [];
+    let length = 0;
+    const write = (part) => {
+        const bytes = typeof part === "string" ? Uint8Array.from(part, ch => ch.charCodeAt(0) & 0xff) : part;
+        chunks.push(bytes);
+        length += bytes.length;
+    };
+    write("%PDF-1.4\n");
+    const offsets = objects.map((body, i) => {
+        const offset = length;
+        write(`${i + 1} 0 obj\n`);
+        (Array.isArray(body) ? body : [body]).forEach(write);
+        write("\nendobj\n");
+        return offset;
+    });
+    const xref = length;
+    write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+        + offsets.map(offset => String(offset).padStart(10, "0") + " 00000 n \n").join("")
+        + `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+    const pdf = new Uint8Array(length);
+    let position = 0;
+    chunks.forEach(chunk => {
+        pdf.set(chunk, position);
+        position += chunk.length;
+    });
+    return pdf;
+}
+
+//============================================================================================
+//                             RECORDING
+//============================================================================================
+
+/**
+* Captures a sketch over a time range, see Context.record().
+*
+* 'webm' records the live canvas with MediaRecorder (browser only): the sketch keeps running on its own loop
+* and the recording ends on a timer after duration ms of wall time, whether the sketch is running or not.
+* 'gif' and 'png' take the frames over (TaskScheduler.runFramesAt): each one is run 1000 / fps ms of sketch
+* time after the last, however long encoding it takes, so the output doesn't depend on how fast the machine is.
+* They need a canvas that can be read back (not a RecordingCanvas).
+*
+* Example:
+*   const recorder = new SketchRecorder(context, { format: "gif", duration: 3000, fps: 20, width: 320,
+*       onProgress: (p) => progressBar.update("size.width", p * 200) });
+*   const gif = await recorder.start();
+*/
+class SketchRecorder {
+    static FORMATS = ["webm", "gif", "png"];
+    static WEBM_TYPES = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"];
+
+    /**
+    * @param {Context} context 
+    * @param {Object} [options]
+    * @param {'webm' | 'gif' | 'png'} [options.format='webm'] - 'png' gives one image per frame
+    * @param {number} [options.duration=3000] - ms to capture, of sketch time ('gif', 'png') or wall time ('webm')
+    * @param {number} [options.fps=30] 
+    * @param {number} [options.width] - output pixels, the canvas CSS width by default
+    * @param {number} [options.height] - output pixels, keeps the canvas aspect ratio by default
+    * @param {string[] | null} [options.channels=null] - scheduler channels that keep running while capturing,
+    *   every other one (except 'global' and 'render') is paused until the end; null keeps everything running
+    * @param {number} [options.loop=0] - gif only, extra plays after the first, 0 = forever
+    * @param {number} [options.videoBitsPerSecond] - webm only
+    * @param {function(number): void} [options.onProgress] - called with the capture progress, from 0 to 1
+    */
+    constructor(context, {
+        format = "webm",
+        duration = 3000,
+        fps = 30,
+        width,
+        height,
+        channels = null,
+        loop = 0,
+        videoBitsPerSecond,
+        onProgress = null
+    } = {}) {
+        if (!SketchRecorder.FORMATS.includes(format)) throw Error("Unknown recording format: " + format);
+        const size = context.store.get(Context.SIZE_STORE_KEY);
+
+        this.context = context;
+        this.format = format;
+        this.duration = duration;
+        this.fps = fps;
+        this.width = Math.round(width ?? (height ? height * size.width / size.height : size.width));
+        this.height = Math.round(height ?? this.width * size.height / size.width);
+        this.channels = channels;
+        this.loop = loop;
+        this.videoBitsPerSecond = videoBitsPerSecond;
+
+        // not kept in the store, where it would be saved, linked, serialized and undone with the sketch's own values
+        this.onProgress = onProgress;
+        this.recording = false;
+        this._stopRequested = false;
+        this._pausedByRecorder = [];
+        this._mediaRecorder = null;
+    }
+
+    /**
+    * @returns {Promise<Blob | Blob[]>} the video or gif, or one png per frame
+    */
+    async start() {
+        if (this.recording) throw Error("Recorder is already running");
+        this.recording = true;
+        this._stopRequested = false;
+        this._reportProgress(0);
+        this._pauseOtherChannels();
+        try {
+            return this.format === "webm" ? await this._recordWebm() : await this._recordFrames();
+        } finally {
+            this._resumeOtherChannels();
+            this.recording = false;
+        }
+    }
+
+    /**
+    * Ends the capture early, start() still resolves with what was captured so far.
+    */
+    stop() {
+        this._stopRequested = true;
+        if (this._mediaRecorder?.state === "recording") this._mediaRecorder.stop();
+    }
+
+    _reportProgress(progress) {
+        try {
+            this.onProgress?.(progress);
+        } catch (e) {
+            console.warn("Recorder onProgress threw:", e);
+        }
+    }
+
+    _pauseOtherChannels() {
+        if (!this.channels) return;
+        /** @type {TaskScheduler} */
+        const scheduler = this.context.scheduler;
+        const keep = new Set([...this.channels, "global", "render"]);
+        const all = new Set(scheduler.tasks.flatMap(task => task.channels));
+        this._pausedByRecorder = [...all].filter(ch => !keep.has(ch) && !scheduler.pausedChannels.has(ch));
+        this._pausedByRecorder.forEach(ch => scheduler.pause(ch));
+    }
+
+    _resumeOtherChannels() {
+        this._pausedByRecorder.forEach(ch => this.context.scheduler.resume(ch));
+        this._pausedByRecorder = [];
+    }
+
+    /**
+    * Canvas of the output size with the current frame scaled onto it.
+    */
+    _scratchCanvas() {
+        const source = this.context.canvas;
+        let canvas;
+        if (typeof document !== "undefined") {
+            canvas = document.createElement("canvas");
+        } else if (typeof OffscreenCanvas !== "undefined") {
+            canvas = new OffscreenCanvas(this.width, this.height);
+        } else {
+            // node-canvas and skia-canvas canvases take (width, height)
+            canvas = new source.constructor(this.width, this.height);
+        }
+        canvas.width = this.width;
+        canvas.height = this.height;
+        return canvas;
+    }
+
+    _copyFrame(target) {
+        const ctx = target.getContext("2d");
+        ctx.clearRect(0, 0, target.width, target.height);
+        ctx.drawImage(this.context.canvas, 0, 0, target.width, target.height);
+        return ctx;
+    }
+
+    async _recordWebm() {
+        if (typeof MediaRecorder === "undefined" || typeof this.context.canvas.captureStream !== "function") {
+            throw Error("WebM recording needs MediaRecorder and canvas.captureStream, record 'gif' or 'png' instead");
+        }
+        const mimeType = SketchRecorder.WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        const source = this.context.canvas;
+        const scaled = source.width !== this.width || source.height !== this.height;
+        const target = scaled ? this._scratchCanvas() : source;
+
+        /** @type {TaskScheduler} */
+        const scheduler = this.context.scheduler;
+        const copyTask = this.context.randomName("recorder-copy");
+        // runs after "render" (added earlier), so every recorded frame is complete
+        if (scaled) scheduler.add(copyTask, 0, ScheduledTask.INFINITE, () => this._copyFrame(target), ["render"]).marksDirty = false;
+
+        const stream = target.captureStream(this.fps);
+        const chunks = [];
+        const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: this.videoBitsPerSecond });
+        this._mediaRecorder = recorder;
+        recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) chunks.push(event.data);
+        };
+
+        // the video runs on wall time, and so does its end: a scheduler task would never get to
+        // stop it once the sketch is stopped or paused
+        const startedAt = performance.now();
+        const progressTimer = setInterval(() => {
+            const progress = Math.min(1, (performance.now() - startedAt) / this.duration);
+            this._reportProgress(progress);
+            if (progress >= 1) this.stop();
+        }, 1000 / this.fps);
+
+        try {
+            await new Promise((resolve, reject) => {
+                recorder.onstop = resolve;
+                recorder.onerror = (event) => reject(event.error ?? Error("MediaRecorder failed"));
+                recorder.start();
+            });
+        } finally {
+            clearInterval(progressTimer);
+            scheduler.remove(copyTask);
+            stream.getTracks().forEach(track => track.stop());
+            this._mediaRecorder = null;
         }
+        return new Blob(chunks, { type: recorder.mimeType || "video/webm" });
     }
-    
+
+    async _recordFrames() {
+        if (this.context.canvas instanceof RecordingCanvas) {
+            throw Error("Recording frames needs a canvas that can be read back, not a RecordingCanvas");
+        }
+        const target = this._scratchCanvas();
+        const frameMs = 1000 / this.fps;
+        const count = Math.max(1, Math.round(this.duration / frameMs));
+        const gif = this.format === "gif" ? new GifEncoder(this.width, this.height, this.loop) : null;
+        const pngs = [];
+
+        await this.context.scheduler.runFramesAt(count, frameMs, async (i) => {
+            if (this._stopRequested) return false;
+            const ctx = this._copyFrame(target);
+            if (gif) {
+                // delays are in 1/100 s, rounding each frame's end keeps the total on time
+                const delay = Math.round((i + 1) * 100 / this.fps) - Math.round(i * 100 / this.fps);
+                gif.addFrame(ctx.getImageData(0, 0, this.width, this.height).data, delay);
+            } else {
+                pngs.push(await canvasToPNG(target));
+            }
+            this._reportProgress((i + 1) / count);
+            // let the page breathe between frames
+            await new Promise(resolve => setTimeout(resolve, 0));
+        });
+
+        if (!gif) return pngs;
+        return new Blob([gif.finish()], { type: "image/gif" });
+    }
+}
+
+/**
+* @param {*} canvas - DOM, offscreen, node-canvas or skia-canvas canvas
+* @returns {Promise<Blob>} 
+*/
+async function canvasToPNG(canvas) {
+    if (typeof canvas.convertToBlob === "function") return canvas.convertToBlob({ type: "image/png" });
+    if (typeof canvas.toBlob === "function") return new Promise(resolve => canvas.toBlob(resolve, "image/png"));
+    return new Blob([await canvas.toBuffer("image/png")], { type: "image/png" });
+}
+
+/**
+* Minimal animated GIF89a writer. Each frame gets its own palette of its 256 most used colors
+* (flat sketch colors come out exact, gradients and images band a little).
+*/
+class GifEncoder {
     /**
-     * Updates a single attribute value and syncs with the store if the attribute is being tracked.
-     * @param {string} attr - The attribute name to update
-     * @param {any} value - The new value for the attribute
-     */
-    update(attr, value) {
-        this[attr] = value;
-        this.updateInStore(attr);
-        // if (this.context.store.added(this.getAttributeStoreName(attr))) {
-        // }
+    * @param {number} width 
+    * @param {number} height 
+    * @param {number} [loop=0] - extra plays after the first, 0 = forever
+    */
+    constructor(width, height, loop = 0) {
+        this.width = width;
+        this.height = height;
+        /** @type {number[]} */
+        this.bytes = [];
+
+        this._writeString("GIF89a");
+        this._writeShort(width);
+        this._writeShort(height);
+        this.bytes.push(0, 0, 0); // no global color table, background 0, square pixels
+
+        // NETSCAPE2.0 application extension: loop count
+        this.bytes.push(0x21, 0xff, 0x0b);
+        this._writeString("NETSCAPE2.0");
+        this.bytes.push(0x03, 0x01);
+        this._writeShort(loop);
+        this.bytes.push(0x00);
     }
-    
+
     /**
-     * Updates the store value for an attribute. Handles nested attributes (e.g., "pos.x").
-     * @param {string} attributeName - The full attribute name to update in store, taken from getAttributeStoreName(attribute)
-     */
-    updateInStore(attributeName) {
-        let value;
-        try {
-            const parts = attributeName.split(".");
-            value = parts.reduce((obj, key) => obj?.[key], this);
-        } catch (e) {
-            value = undefined;
+    * @param {Uint8ClampedArray} rgba - width * height * 4 bytes, as from getImageData
+    * @param {number} delay - time to show it, in 1/100 s
+    */
+    addFrame(rgba, delay) {
+        const { palette, indices } = GifEncoder.quantize(rgba);
+
+        // graphic control extension: no transparency, leave the frame in place
+        this.bytes.push(0x21, 0xf9, 0x04, 0x04);
+        this._writeShort(delay);
+        this.bytes.push(0x00, 0x00);
+
+        // image descriptor with a 256 entry local color table
+        this.bytes.push(0x2c);
+        this._writeShort(0);
+        this._writeShort(0);
+        this._writeShort(this.width);
+        this._writeShort(this.height);
+        this.bytes.push(0x87);
+        for (let i = 0; i < 256; i++) {
+            const color = palette[i] ?? 0;
+            this.bytes.push((color >> 16) & 0xff, (color >> 8) & 0xff, color & 0xff);
+        }
+
+        this.bytes.push(8); // LZW minimum code size
+        const data = GifEncoder.lzw(indices);
+        for (let i = 0; i < data.length; i += 255) {
+            const block = data.subarray(i, i + 255);
+            this.bytes.push(block.length, ...block);
         }
-        this.context.store.set(this.getAttributeStoreName(attributeName), value);
+        this.bytes.push(0x00);
     }
-    
+
     /**
-     * Generates the unique store key for an attribute of this unit.
-     * @param {string} attributeName - The attribute name
-     * @returns {string} The store key in format "unitName::attributeName"
-     */
-    getAttributeStoreName(attributeName){
-        return this.name + "::" + attributeName;
+    * @returns {Uint8Array} the finished file
+    */
+    finish() {
+        this.bytes.push(0x3b);
+        return Uint8Array.from(this.bytes);
     }
-    
+
+    _writeShort(value) {
+        this.bytes.push(value & 0xff, (value >> 8) & 0xff);
+    }
+
+    _writeString(text) {
+        for (let i = 0; i < text.length; i++) this.bytes.push(text.charCodeAt(i));
+    }
+
     /**
-    * Positions this Unit dynamically relative to another Unit.
-    *
-    * NOTE: Do not use this function if this Unit's position will later be 
-    * manually modified, as those changes will be overwritten.
-    * 
-    * Example:
-    *   // place myUnit just below otherUnit, aligned by their horizontal centers
-    *   myUnit.bindPositionRelativeTo(otherUnit, "bottom", { x: 0, y: 10 });
-    *
-    * @param {Unit} otherUnit
-    * @param {string} direction  One of the direction keywords above
-    * @param {{x?:number,y?:number}} [offset={x:0,y:0}]
+    * Reduces a frame to at most 256 colors: colors are bucketed at 5 bits per channel, the 256 fullest
+    * buckets become the palette and every other bucket maps to its nearest palette entry.
+    * @param {Uint8ClampedArray} rgba 
+    * @returns {{palette: number[], indices: Uint8Array}} palette entries are 0xRRGGBB
     */
-    bindPositionRelativeTo(otherUnit, direction, offset = { x: 0, y: 0 }) {
-        const { x: padX = 0, y: padY = 0 } = offset;
-        
-        // Helper to align corners/edges based on direction code
-        this._boundPositionListeners = this._boundPositionListeners || [];
+    static quantize(rgba) {
+        const pixels = rgba.length / 4;
+        const keys = new Uint16Array(pixels);
+        const counts = new Uint32Array(32768);
+        // average real color per bucket, so flat colors survive the 5 bit bucketing exactly
+        const sums = new Float64Array(32768 * 3);
+        for (let p = 0; p < pixels; p++) {
+            const r = rgba[p * 4], g = rgba[p * 4 + 1], b = rgba[p * 4 + 2];
+            const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+            keys[p] = key;
+            counts[key]++;
+            sums[key * 3] += r;
+            sums[key * 3 + 1] += g;
+            sums[key * 3 + 2] += b;
+        }
 
-        const updatePosition = () => {
-            // const thisBox = this.getMeasuredBounds();
-            // const otherBox = otherUnit.getMeasuredBounds();
+        const used = [];
+        for (let key = 0; key < 32768; key++) {
+            if (counts[key]) used.push(key);
+        }
+        used.sort((a, b) => counts[b] - counts[a]);
+        const chosen = used.slice(0, 256);
+        const rgb = chosen.map(key => [0, 1, 2].map(c => Math.round(sums[key * 3 + c] / counts[key])));
+        const palette = rgb.map(([r, g, b]) => (r << 16) | (g << 8) | b);
 
-            const thisBox = {x: this.pos.x, y: this.pos.y, width: this.size.width, height: this.size.height};
-            const otherBox = {x: otherUnit.pos.x, y: otherUnit.pos.y, width: otherUnit.size.width, height: otherUnit.size.height};
+        const lookup = new Int16Array(32768).fill(-1);
+        chosen.forEach((key, i) => lookup[key] = i);
+        for (const key of used.slice(256)) {
+            const r = sums[key * 3] / counts[key], g = sums[key * 3 + 1] / counts[key], b = sums[key * 3 + 2] / counts[key];
+            let best = 0, bestDistance = Infinity;
+            rgb.forEach(([pr, pg, pb], i) => {
+                const distance = (pr - r) ** 2 + (pg - g) ** 2 + (pb - b) ** 2;
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = i;
+                }
+            });
+            lookup[key] = best;
+        }
 
-            let newX = 0, newY = 0;
-            
-            switch (direction) {
-                case "top-left":
-                newX = otherBox.x - thisBox.width;
-                newY = otherBox.y - thisBox.height;
-                break;
-                case "top-right":
-                newX = otherBox.x + otherBox.width;
-                newY = otherBox.y - thisBox.height;
-                break;
-                case "bottom-left":
-                newX = otherBox.x - thisBox.width;
-                newY = otherBox.y + otherBox.height;
-                break;
-                case "bottom-right":
-                newX = otherBox.x + otherBox.width;
-                newY = otherBox.y + otherBox.height;
-                break;
-                case "left":
-                newX = otherBox.x - thisBox.width;
-                newY = otherBox.y + (otherBox.height - thisBox.height) / 2;
-                break;
-                case "right":
-                newX = otherBox.x + otherBox.width;
-                newY = otherBox.y + (otherBox.height - thisBox.height) / 2;
-                break;
-                case "top":
-                newX = otherBox.x + (otherBox.width - thisBox.width) / 2;
-                newY = otherBox.y - thisBox.height;
-                break;
-                case "bottom":
-                newX = otherBox.x + (otherBox.width - thisBox.width) / 2;
-                newY = otherBox.y + otherBox.height;
-                break;
-                case "center":
-                default:
-                newX = otherBox.x + (otherBox.width - thisBox.width) / 2;
-                newY = otherBox.y + (otherBox.height - thisBox.height) / 2;
-                break;
+        const indices = new Uint8Array(pixels);
+        for (let p = 0; p < pixels; p++) indices[p] = lookup[keys[p]];
+        return { palette, indices };
+    }
+
+    /**
+    * GIF flavoured LZW (8 bit symbols, variable code size up to 12 bits, LSB first).
+    * @param {Uint8Array} indices 
+    * @returns {Uint8Array}
+    */
+    static lzw(indices) {
+        const CLEAR = 256, END = 257;
+        const out = [];
+        let bitBuffer = 0, bitCount = 0, codeSize = 9, next = 258;
+        let dictionary = new Map();
+
+        const emit = (code) => {
+            bitBuffer |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                out.push(bitBuffer & 0xff);
+                bitBuffer >>>= 8;
+                bitCount -= 8;
             }
-            
-            // Apply offset
-            newX += padX;
-            newY += padY;
-            
-            this.update("pos", { x: newX, y: newY });
-        };
-        
-        // helper to register & record
-        const watch = (key) => {
-            this.context.store.onChange(key, updatePosition);
-            this._boundPositionListeners.push({ key, fn: updatePosition });
         };
-        
-        watch(otherUnit.getAttributeStoreName("pos"));
-        watch(otherUnit.getAttributeStoreName("size"));
-        watch(otherUnit.getAttributeStoreName("rot"));
-        watch(otherUnit.getAttributeStoreName("scale"));
-        watch(this.getAttributeStoreName("size"));
-        watch(this.getAttributeStoreName("rot"));
-        watch(this.getAttributeStoreName("scale"));
-        // Initial placement
-        updatePosition();
-    };
-    
-    bindToScreenPosition(position, padding = {x: 0, y: 0}) {
-        const { x: padX = 0, y: padY = 0 } = offset;
-        function getOppositeDirection(direction) {
-            const opposites = {
-                top: 'bottom',
-                bottom: 'top',
-                left: 'right',
-                right: 'left',
-                center: 'center'
-            };
 
-            const parts = direction.toLowerCase().split('-');
-            const reversed = parts.map(part => opposites[part] || part);
-            return reversed.join('-');
+        emit(CLEAR);
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const symbol = indices[i];
+            const key = (prefix << 8) | symbol;
+            const code = dictionary.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+            emit(prefix);
+            if (next === 4096) {
+                emit(CLEAR);
+                dictionary = new Map();
+                codeSize = 9;
+                next = 258;
+            } else {
+                if (next >= (1 << codeSize)) codeSize++;
+                dictionary.set(key, next++);
+            }
+            prefix = symbol;
         }
+        emit(prefix);
+        emit(END);
+        if (bitCount > 0) out.push(bitBuffer & 0xff);
+        return Uint8Array.from(out);
+    }
+}
 
-        this.bindPositionRelativeTo(
-            this.context.getAnchor(position), 
-            getOppositeDirection(position), 
-            { x: padX, y: padY }
-        );
+//============================================================================================
+//                             HEADLESS RENDERING
+//============================================================================================
+
+/**
+* Stand-in for a CanvasRenderingContext2D that draws nothing and records every call and property
+* assignment instead, so a frame can be compared as a log of draw calls.
+*/
+class RecordingContext2D {
+    static METHODS = [
+        "save", "restore", "scale", "rotate", "translate", "transform", "setTransform", "resetTransform",
+        "beginPath", "closePath", "moveTo", "lineTo", "quadraticCurveTo", "bezierCurveTo", "arc", "arcTo",
+        "ellipse", "rect", "roundRect", "fill", "stroke", "clip", "fillRect", "strokeRect", "clearRect",
+        "fillText", "strokeText", "drawImage", "setLineDash"
+    ];
+    static PROPERTIES = {
+        fillStyle: "#000000", strokeStyle: "#000000", lineWidth: 1, lineCap: "butt", lineJoin: "miter",
+        font: "10px sans-serif", textAlign: "start", textBaseline: "alphabetic", globalAlpha: 1,
+        globalCompositeOperation: "source-over", shadowBlur: 0, shadowColor: "rgba(0, 0, 0, 0)",
+        shadowOffsetX: 0, shadowOffsetY: 0, imageSmoothingEnabled: true
+    };
+
+    /**
+    * @param {RecordingCanvas} canvas 
+    */
+    constructor(canvas) {
+        this.canvas = canvas;
+        /** @type {({type: "call", name: string, args: any[]} | {type: "set", name: string, value: any})[]} */
+        this.calls = [];
+        this._state = { ...RecordingContext2D.PROPERTIES };
+        this._stack = [];
     }
 
     /**
-     * Removes all position binding listeners, stopping automatic position updates.
-     * Call this before deleting a unit or when manual positioning is needed.
-     */
-    unbindPositionRelativeTo() {
-        if (!this._boundPositionListeners) return;
-        for (let { key, fn } of this._boundPositionListeners) {
-            this.context.store.removeOnChange(key, fn);
-        }
-        this._boundPositionListeners = [];
+    * Approximates text width from the font size, so layouts are the same on every machine.
+    * @param {string} text 
+    */
+    measureText(text) {
+        this.calls.push({ type: "call", name: "measureText", args: [text] });
+        const size = parseFloat(/(\d+(\.\d+)?)px/.exec(this._state.font)?.[1] ?? 10);
+        return { width: String(text).length * size * 0.6 };
     }
-    
+
     /**
-     * Removes the unit from the context and cleans up any bindings.
-     * Call this to properly dispose of a unit.
-     */
-    delete() {
-        this.unbindPositionRelativeTo();
-        /**@type {Context} */
-        const context = this.context;
-        context.removeUnit(this.name);
+    * The recorded frame as text, one call or assignment per line with numbers rounded to 3 decimals.
+    * @returns {string}
+    */
+    toLog() {
+        const format = (value) => {
+            if (typeof value === "number") return String(Math.round(value * 1000) / 1000);
+            if (typeof value === "string") return JSON.stringify(value);
+            if (value && typeof value === "object") return value.src ? `[image ${value.src}]` : `[${value.constructor?.name ?? "object"}]`;
+            return String(value);
+        };
+        return this.calls.map(call => call.type === "set"
+            ? `${call.name} = ${format(call.value)}`
+            : `${call.name}(${call.args.map(format).join(", ")})`
+        ).join("\n");
+    }
+
+    clearCalls() {
+        this.calls = [];
+    }
+}
+
+for (const name of RecordingContext2D.METHODS) {
+    RecordingContext2D.prototype[name] = function (...args) {
+        this.calls.push({ type: "call", name, args });
+        // drawing state follows save/restore like a real context, so property reads stay right
+        if (name === "save") this._stack.push({ ...this._state });
+        if (name === "restore" && this._stack.length) this._state = this._stack.pop();
+    };
+}
+for (const name in RecordingContext2D.PROPERTIES) {
+    Object.defineProperty(RecordingContext2D.prototype, name, {
+        get() {
+            return this._state[name];
+        },
+        set(value) {
+            this.calls.push({ type: "set", name, value });
+            this._state[name] = value;
+        }
+    });
+}
+
+/**
+* Canvas-shaped holder for a RecordingContext2D, enough for Context to size and draw on.
+*/
+class RecordingCanvas {
+    constructor(width = 300, height = 150) {
+        this.width = width;
+        this.height = height;
+        this._context = new RecordingContext2D(this);
+    }
+
+    getContext(type) {
+        return type === "2d" ? this._context : null;
     }
 }
+
+/**
+* Builds a sketch with no browser around it, for snapshot tests and renders in Node. The sketch runs on a
+* manual TaskScheduler (virtual clock, see TaskScheduler.step) and draws on a fixed size surface: a
+* node-canvas / skia-canvas canvas when one is passed, otherwise a RecordingCanvas that logs draw calls.
+* There is no GestureDetector, buildSketch receives null for it.
+*
+* Example (Node):
+*   const { createHeadlessSketch } = require("./full-lib-v5.js");
+*   const sketch = createHeadlessSketch(buildSketch, { width: 400, height: 300 });
+*   sketch.advanceTo(1000);
+*   expect(sketch.drawLog()).toMatchSnapshot();
+*
+*   const { createCanvas } = require("canvas");
+*   const real = createHeadlessSketch(buildSketch, { canvas: createCanvas(1, 1) });
+*   fs.writeFileSync("frame.png", await real.step().toPNG());
+* @param {function(Context, *, TaskScheduler, DataStore, GestureDetector | null): void} buildSketch - same signature the host calls it with
+* @param {Object} [options]
+* @param {number} [options.width=500] - CSS pixels
+* @param {number} [options.height=500] - CSS pixels
+* @param {number} [options.pixelRatio=1] 
+* @param {*} [options.canvas] - a node-canvas / skia-canvas canvas to render for real, resized by the context
+* @param {string} [options.sketchId] 
+*/
+function createHeadlessSketch(buildSketch, { width = 500, height = 500, pixelRatio = 1, canvas = null, sketchId = undefined } = {}) {
+    const surface = canvas ?? new RecordingCanvas();
+    const scheduler = new TaskScheduler(sketchId, { manual: true });
+    const store = new DataStore();
+    const context = new Context(surface, null, scheduler, store, scheduler.sketchId, {
+        fixedSize: { width, height },
+        pixelRatio
+    });
+    registerDrawLoop(context);
+    buildSketch(context, surface, scheduler, store, null);
+    scheduler.start();
+
+    const sketch = {
+        context,
+        canvas: surface,
+        scheduler,
+        store,
+
+        /**
+        * Runs one frame ms after the previous one.
+        */
+        step(ms = TaskScheduler.FRAME_MS) {
+            scheduler.step(ms);
+            return sketch;
+        },
+
+        /**
+        * Runs frames until the virtual clock reads time (ms since the sketch was built).
+        */
+        advanceTo(time, frameMs = TaskScheduler.FRAME_MS) {
+            scheduler.advanceTo(time, frameMs);
+            return sketch;
+        },
+
+        /**
+        * PNG of the canvas as it is now, only with a real canvas.
+        * @returns {Promise<Buffer>}
+        */
+        async toPNG() {
+            if (typeof surface.toBuffer !== "function") {
+                throw Error("PNG output needs a node-canvas or skia-canvas canvas, pass one as options.canvas");
+            }
+            return await surface.toBuffer("image/png");
+        },
+
+        /**
+        * Draw calls recorded since the last clearDrawLog(), only without a real canvas.
+        * @returns {string} see RecordingContext2D.toLog
+        */
+        drawLog() {
+            if (!(surface instanceof RecordingCanvas)) throw Error("Draw logs are only recorded without options.canvas");
+            return surface.getContext("2d").toLog();
+        },
+
+        clearDrawLog() {
+            surface.getContext("2d")?.clearCalls?.();
+            return sketch;
+        },
+
+        destroy() {
+            context.destroy();
+            delete animateOneGlobal.AnimateOneEnvironment.sketches[scheduler.sketchId];
+        }
+    };
+    return sketch;
+}
+
+// loaded with require() (Node, bundlers) instead of a script tag. Sketch code expects all of this as
+// globals, Object.assign(globalThis, require("./full-lib-v5.js")) runs it unchanged.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        cloneStoreValue, DataStore, Context, SpatialGrid, GestureDetector, AccessibilityMirror, Unit,
+        ScheduledTask, AnimationTask, SpringTask, TaskScheduler, registerDrawLoop, rectsIntersect,
+        drawDefaultFactory, drawNoneFactory, calculateCenterPosFactory, createTextStyle,
+        createFunctionPlotUnit, createSliderUnit, createBarChart, createTextBoxUnit,
+        hitTestDefaultFactory, hitTestLineFactory, measuredBoundsDefaultFactory, hitBoundsDefaultFactory,
+        AnimationHandle, unitAnimationName, fadeOut, fadeIn, moveBy, moveToUnit, tween, springTo,
+        applyHoverColor, getUnitProperty, setUnitProperty, Timeline,
+        linear, easeInOut1, easeInOut2, easeOutOf, easeInOutOf,
+        easeInQuad, easeOutQuad, easeInOutQuad, easeInCubic, easeOutCubic, easeInOutCubic,
+        easeInQuart, easeOutQuart, easeInOutQuart, easeInQuint, easeOutQuint, easeInOutQuint,
+        easeInSine, easeOutSine, easeInOutSine, easeInExpo, easeOutExpo, easeInOutExpo,
+        easeInCirc, easeOutCirc, easeInOutCirc, easeInBack, easeOutBack, easeInOutBack,
+        easeInElastic, easeOutElastic, easeInOutElastic, easeInBounce, easeOutBounce, easeInOutBounce,
+        cubicBezier, steps, spring, parseColor, rgbToOklab, oklabToRgb, createInterpolator,
+        multiplyTransform, invertTransform, applyTransform, applyParentTransform,
+        SCENE_UNIT_ATTRIBUTES, SCENE_WIDGET_ATTRIBUTES, SCENE_WIDGETS, tagWidget, toSceneValue, compileExpression,
+        matchesKeyPattern, LocalStorageBackend, IndexedDBBackend, UrlHashBackend, StorePersistence, StoreLink,
+        VectorContext2D, frameToSVG, frameToPDF, SketchRecorder, GifEncoder, canvasToPNG, RecordingContext2D, RecordingCanvas, createHeadlessSketch
+    };
+}
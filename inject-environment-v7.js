@@ -46,13 +46,15 @@ const __injectCanvas = () => {
 		return;
 	}
 
-	// Check if the container already exists
-	let div = document.getElementById("animate-one-dynamic-sketch-container");
-	let canvas = document.getElementById("animate-one-dynamic-sketch-canvas");
+	// Check if the container already exists, ids are per sketch so several sketches can share a page
+	const containerId = `animate-one-dynamic-sketch-container-${__ExternallyDefinedSketchId__}`;
+	const canvasId = `animate-one-dynamic-sketch-canvas-${__ExternallyDefinedSketchId__}`;
+	let div = document.getElementById(containerId);
+	let canvas = document.getElementById(canvasId);
 
 	if (!div) {
 		div = document.createElement("div");
-		div.id = "animate-one-dynamic-sketch-container";
+		div.id = containerId;
 		div.style.display = "flex";
 		div.style.flexDirection = "column";
 		div.style.resize = "both";
@@ -65,17 +67,13 @@ const __injectCanvas = () => {
 
 	if (!canvas) {
 		canvas = document.createElement("canvas");
-		canvas.id = "animate-one-dynamic-sketch-canvas";
+		canvas.id = canvasId;
 		canvas.width = 500;
 		canvas.height = 500;
 		canvas.style.border = "1px solid #000";
 
+		//Context keeps the canvas sized to the container (at devicePixelRatio), no observer needed here
 		div.appendChild(canvas);
-
-		new ResizeObserver(() => {
-			canvas.width = div.clientWidth;
-			canvas.height = div.clientHeight;
-		}).observe(div);
 	}
 
 	return [canvas, div];
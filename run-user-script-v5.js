@@ -3,7 +3,7 @@
   try{
     function runAfterPrevInstanceStopped() {
         // @ts-ignore
-        const scheduler = new TaskScheduler();
+        const scheduler = new TaskScheduler(__ExternallyDefinedSketchId__);
         // @ts-ignore
         const store = new DataStore();
         // @ts-ignore
@@ -23,13 +23,10 @@
     }
 
     //wait incase this sketch environment is already posting request animation frames
-    self.AnimateOneEnvironment.stopSketchEnvironment(__ExternallyDefinedSketchId__);
-    (async () => {
-        while (self.AnimateOneEnvironment.sketchEnvironmentIsPosting(__ExternallyDefinedSketchId__)) {
-            await new Promise(resolve => setTimeout(resolve, 100)) // wait 100 ms
-        }
-        runAfterPrevInstanceStopped();
-    })();
+    await self.AnimateOneEnvironment.stop(__ExternallyDefinedSketchId__);
+    //release the previous run's observers, listeners and hidden input before building again
+    self.AnimateOneEnvironment.inspectSketch(__ExternallyDefinedSketchId__)?.context?.destroy();
+    runAfterPrevInstanceStopped();
   } catch (error) {
     console.warn(error);
   }